@@ -46,17 +46,47 @@ Key Components:
 8. API Routes:
    - Health Check: Simple endpoint to verify API status.
    - Authentication: Endpoints for user profile retrieval and creation.
-   - Merchant Requests: Allows users to request merchant status and for 
-     admins to approve/reject such requests.
+   - Merchant Requests: Users apply for merchant status with their shop 
+     details; admins approve, reject or request changes with a reason, and 
+     applicants can resubmit.
    - Profile Management: Enables users to update their profile information.
    - Admin User Management: Admin-only endpoints for managing users.
-   - Mailbox: Public endpoints for submitting and retrieving support messages.
-   - Categories: CRUD operations for product categories.
-   - Products: CRUD operations for products, including stock management and 
+   - Mailbox: Public contact form that opens support tickets; senders follow 
+     them through a tokenized link, admins triage, assign and reply.
+   - Storefronts: Public shop profile and in-stock catalogue per merchant, 
+     addressed by a unique shop slug.
+   - Categories: Admin-managed category tree with unique slugs; products 
+     reference categories by ID.
+   - Products: CRUD operations for products and their variants, including 
+     stock management, an append-only stock ledger, low-stock thresholds and 
      merchant-specific actions.
-   - Blogs: CRUD operations for blog posts.
+   - Blogs: Draft/publish CMS for admins and approved authors; the public 
+     only sees published posts.
    - Orders: Endpoints for creating and retrieving orders.
-   - Request List: Allows merchants to request products from other merchants.
+   - Cart & Checkout: Persistent per-user cart; checkout prices lines on the 
+     server and atomically reserves stock before creating an order that is 
+     split into one sub-order per merchant.
+   - Addresses & Shipping: Per-user address book, admin-managed delivery zones 
+     with fees and delivery times (a default rate elsewhere); orders snapshot 
+     the address and fee, and merchants attach tracking numbers when shipping.
+   - Invoices & Packing Slips: Per-merchant sequential invoice numbers; 
+     invoices and price-free packing slips rendered locally as HTML or PDF.
+   - Payments: Cash on delivery or a pluggable gateway (local mock provided); 
+     signed, idempotent webhooks settle payments and refunds on cancellation;
+     unpaid orders are cancelled after a payment window.
+   - Coupons: Platform and merchant coupons validated and applied on the 
+     server at order time; products can run time-boxed sales.
+   - Commission & Payouts: Commission rules (global, category, merchant), an 
+     append-only earnings ledger booked on delivery, merchant balances, 
+     statements and admin-recorded payouts.
+   - Notifications: Stored per-user notices for applications, orders, 
+     requests and restocks, with unread counts and a live SSE stream.
+   - Wishlist: Saved products and one-shot back-in-stock alerts fired by 
+     every restocking route.
+   - Reviews: Customers rate and review products they received; merchants 
+     reply once, admins hide abuse, and products keep a rating aggregate.
+   - Request List: Allows merchants to request products from other merchants, 
+     negotiate price/quantity, and fulfil by transferring stock.
 
 9. Error Handling:
    - Centralized error handler to catch and respond to unexpected errors 
@@ -91,9 +121,23 @@ const mongoose = require("mongoose");
 const { z } = require("zod");
 const admin = require("firebase-admin");
 const path = require("path");
+const crypto = require("crypto");
 
 const PORT = process.env.PORT || 3000;
 const MONGODB_URI = process.env.MONGODB_URI_PATH;
+// Commission (percent) used when no global rule has been configured yet
+const DEFAULT_COMMISSION_RATE = Number(process.env.DEFAULT_COMMISSION_RATE ?? 10);
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || "BDT";
+// Signs the mock gateway's webhooks; the mock provider is only offered when a secret is set
+const MOCK_PAYMENT_SECRET = process.env.MOCK_PAYMENT_SECRET || null;
+// Shipping for areas no delivery zone covers
+const DEFAULT_SHIPPING_FEE = Number(process.env.DEFAULT_SHIPPING_FEE ?? 120);
+const DEFAULT_DELIVERY_MIN_DAYS = Number(process.env.DEFAULT_DELIVERY_MIN_DAYS ?? 3);
+const DEFAULT_DELIVERY_MAX_DAYS = Number(process.env.DEFAULT_DELIVERY_MAX_DAYS ?? 7);
+// How long an online order waits for its payment before it is cancelled
+const PAYMENT_TIMEOUT_MINUTES = Number(process.env.PAYMENT_TIMEOUT_MINUTES ?? 30);
+// Bearer token the scheduler sends to /api/v1/cron/* (Vercel Cron sends CRON_SECRET); cron routes are off without it
+const CRON_SECRET = process.env.CRON_SECRET || null;
 
 if (!MONGODB_URI) {
   throw new Error("Missing MONGODB_URI_PATH in .env");
@@ -117,8 +161,16 @@ try {
 // Express App & Middleware
 // ---------------------------
 const app = express();
+app.set("trust proxy", 1); // behind Vercel's proxy; makes req.ip the real client address
 app.use(cors());
-app.use(express.json());
+// Keep the raw body too: payment webhooks are signed over the exact bytes received
+app.use(
+  express.json({
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // ---------------------------
 // MongoDB Connection
@@ -143,11 +195,27 @@ const ShopDetailsSchema = new Schema(
     shopNumber: { type: String, trim: true },
     shopAddress: { type: String, trim: true },
     tradeLicense: { type: String, trim: true },
-
+    // Public storefront address (/api/v1/shops/:slug) and branding
+    slug: { type: String, lowercase: true, trim: true },
+    logo: { type: String, default: null },
   },
   { _id: false }
 );
 
+// Fields of a delivery address; shared by the address book and the order snapshot
+const addressPaths = {
+  label: { type: String, trim: true, default: null }, // e.g. "Home", "Office"
+  recipientName: { type: String, required: true, trim: true },
+  phone: { type: String, required: true, trim: true },
+  district: { type: String, required: true, trim: true },
+  upazila: { type: String, trim: true, default: null },
+  line1: { type: String, required: true, trim: true }, // house, road, area
+  line2: { type: String, trim: true, default: null },
+  postalCode: { type: String, trim: true, default: null },
+};
+
+const AddressSchema = new Schema({ ...addressPaths, isDefault: { type: Boolean, default: false } }, { timestamps: true });
+
 const UserSchema = new Schema(
   {
     name: { type: String, required: true, trim: true, minlength: 2 },
@@ -163,48 +231,501 @@ const UserSchema = new Schema(
       },
       status: {
         type: String,
-        enum: ["pending", "approved", "rejected"],
+        enum: ["pending", "approved", "rejected", "changes_requested"],
         default: null
       },
-      requestedAt: { type: Date, default: Date.now }
+      requestedAt: { type: Date, default: Date.now },
+      shopDetails: { type: ShopDetailsSchema, default: null }, // what the applicant submitted
+      reason: { type: String, default: null }, // admin's reason for rejecting or requesting changes
+      reviewedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+      reviewedAt: { type: Date, default: null },
+      history: [
+        {
+          _id: false,
+          status: { type: String, enum: ["pending", "approved", "rejected", "changes_requested"], required: true },
+          by: { type: Schema.Types.ObjectId, ref: "User", required: true },
+          reason: { type: String, default: null },
+          shopDetails: { type: ShopDetailsSchema, default: null },
+          at: { type: Date, default: Date.now },
+        },
+      ],
     },
     district: { type: String, default: null },
+    upazila: { type: String, default: null },
+    addresses: [AddressSchema], // address book; at most one isDefault
     role: { type: String, enum: ["admin", "merchant", "customer"], default: "customer" },
     status: { type: String, enum: ["active", "pending", "blocked"], default: "active" },
     shopDetails: { type: ShopDetailsSchema, default: null },
+    // Who may see a merchant's email/phone on product pages: everyone, other merchants only, or nobody
+    contactVisibility: {
+      email: { type: String, enum: ["public", "merchants", "hidden"], default: "merchants" },
+      phone: { type: String, enum: ["public", "merchants", "hidden"], default: "merchants" },
+    },
     loginCount: { type: Number, default: 0 },
+    blogAuthor: { type: Boolean, default: false }, // approved by an admin to write blog posts
+    blockedAt: { type: Date, default: null },
+    blockedReason: { type: String, default: null },
+    deletedAt: { type: Date, default: null }, // soft delete; the account can no longer sign in
   },
   { timestamps: true }
 );
 
+UserSchema.index({ role: 1, createdAt: -1 });
+UserSchema.index({ status: 1, createdAt: -1 });
+// sparse: customers and merchants approved before storefronts have no slug
+UserSchema.index({ "shopDetails.slug": 1 }, { unique: true, sparse: true });
+
 const User = model("User", UserSchema);
 
 // ---------------------------
 // Zod Validators
 // ---------------------------
 const shopRequestSchema = z.object({
+  shopDetails: z.object({
+    shopName: z.string().trim().min(2),
+    shopNumber: z.string().trim().min(1),
+    shopAddress: z.string().trim().min(3),
+    tradeLicense: z.string().trim().optional().nullable(),
+  }),
+});
+
+const merchantReviewSchema = z.object({
+  reason: z.string().trim().min(3).max(1000),
+});
+
+const DEFAULT_AVATAR = "https://cdn-icons-png.flaticon.com/128/3135/3135715.png";
+
+// Shared building blocks
+const objectId = z.string().trim().toLowerCase().regex(/^[a-f\d]{24}$/, "Invalid id");
+const note = z.string().trim().max(1000).optional().nullable();
+// Body fields are JSON numbers and are not coerced, so null, "" or true fail instead of becoming 0/1
+const positiveInt = z.number().int().min(1);
+const nonNegativeInt = z.number().int().min(0);
+const price = z.number().min(0);
+// Query strings are text: coerce them, but reject blank values (`?minPrice=`) instead of reading 0
+const fromQuery = (schema) => z.string().trim().min(1, "Cannot be empty").pipe(z.coerce.number()).pipe(schema);
+const pageParam = fromQuery(positiveInt).default(1);
+const limitParam = (fallback) => fromQuery(positiveInt.max(100)).default(fallback);
+// Dates arrive as strings in bodies and queries alike; null or "" no longer means 1970
+const dateInput = z.string().trim().min(1, "Cannot be empty").pipe(z.coerce.date({ error: "Invalid date" }));
+const contactSetting = z.enum(["public", "merchants", "hidden"]);
+const shopSlug = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, "Slug may only contain letters, numbers and dashes")
+  .max(60);
+
+// Params
+const idParams = z.object({ id: objectId });
+const shopParams = z.object({ shop: z.string().trim().toLowerCase().min(1) }); // slug or merchant id
+const subOrderParams = z.object({ id: objectId, subOrderId: objectId });
+const cartItemParams = z.object({ productId: objectId });
+const variantParams = z.object({ id: objectId, variantId: objectId });
+const variantQuery = z.object({ variantId: objectId.optional() }); // picks one variant of a cart line
+
+// Self-registration may only touch profile fields; anything else (role, status, ...) is rejected
+const registerUserSchema = z
+  .object({
+    name: z.string().trim().min(2).optional(),
+    email: z.email().toLowerCase().optional(),
+    phone: z.string().trim().optional().nullable(),
+    photoURL: z.url().optional().nullable(),
+  })
+  .strict();
+
+const roleChangeSchema = z.object({
+  role: z.enum(["admin", "merchant", "customer"]),
+});
+
+const updateProfileSchema = z.object({
+  name: z.string().trim().min(2).optional(),
+  phone: z.string().trim().optional(),
+  avatar: z.url().optional(),
+  district: z.string().trim().optional(),
+  upazila: z.string().trim().optional(),
   shopDetails: z
     .object({
-      shopName: z.string().min(2),
-      shopNumber: z.string().min(1),
-      shopAddress: z.string().min(3),
-      tradeLicense: z.string().optional().nullable(),
+      shopName: z.string().trim().min(2).optional(),
+      shopNumber: z.string().trim().min(1).optional(),
+      shopAddress: z.string().trim().min(3).optional(),
+      tradeLicense: z.string().trim().optional().nullable(),
+      slug: shopSlug.optional(),
+      logo: z.url().nullable().optional(),
     })
-    .optional()
-    .nullable(),
+    .optional(),
+  contactVisibility: z.object({ email: contactSetting.optional(), phone: contactSetting.optional() }).optional(),
+});
+
+const addressFields = {
+  label: z.string().trim().max(30).nullable().optional(),
+  recipientName: z.string().trim().min(2).max(100),
+  phone: z.string().trim().min(6).max(20),
+  district: z.string().trim().min(2).max(50),
+  upazila: z.string().trim().min(2).max(50).nullable().optional(),
+  line1: z.string().trim().min(3).max(200),
+  line2: z.string().trim().max(200).nullable().optional(),
+  postalCode: z.string().trim().max(10).nullable().optional(),
+};
+const addressSchema = z.object({ ...addressFields, isDefault: z.boolean().optional() });
+const addressUpdateSchema = addressSchema.partial();
+
+// upazila omitted or null: the zone covers the whole district
+const deliveryZoneFields = {
+  district: z.string().trim().min(2).max(50),
+  upazila: z.string().trim().min(2).max(50).nullable().optional(),
+  fee: z.number().min(0),
+  minDays: nonNegativeInt,
+  maxDays: nonNegativeInt,
+  active: z.boolean().optional(),
+};
+const daysInOrder = (zone) => zone.minDays === undefined || zone.maxDays === undefined || zone.minDays <= zone.maxDays;
+const deliveryZoneSchema = z
+  .object(deliveryZoneFields)
+  .refine(daysInOrder, { message: "minDays cannot exceed maxDays", path: ["minDays"] });
+const deliveryZoneUpdateSchema = z
+  .object(deliveryZoneFields)
+  .partial()
+  .refine(daysInOrder, { message: "minDays cannot exceed maxDays", path: ["minDays"] });
+const deliveryZonesQuery = z.object({
+  district: z.string().trim().optional(),
+  includeInactive: z.enum(["true", "false"]).optional(), // admin listing only
+});
+const shippingQuoteQuery = z
+  .object({
+    addressId: objectId.optional(),
+    district: z.string().trim().min(2).optional(),
+    upazila: z.string().trim().min(2).optional(),
+  })
+  .refine((q) => q.addressId || q.district, { message: "addressId or district is required", path: ["addressId"] });
+
+const adminUsersQuery = z.object({
+  q: z.string().trim().optional(),
+  role: z.enum(["admin", "merchant", "customer"]).optional(),
+  status: z.enum(["active", "pending", "blocked"]).optional(),
+  includeDeleted: z.enum(["true", "false"]).optional(),
+  page: pageParam,
+  limit: limitParam(20),
+});
+
+const blockUserSchema = z.object({ reason: z.string().trim().max(500).optional() });
+
+const mailboxSchema = z.object({
+  name: z.string().trim().min(2).max(100),
+  email: z.email().max(200),
+  subject: z.string().trim().min(3).max(200),
+  message: z.string().trim().min(10).max(5000),
+});
+
+const ticketReplySchema = z.object({
+  message: z.string().trim().min(1).max(5000),
+});
+
+const ticketTokenQuery = z.object({ token: z.string().min(1) });
+
+const ticketsQuery = z.object({
+  status: z.enum(["open", "in-progress", "resolved"]).optional(),
+  assignedTo: z.union([z.literal("me"), objectId]).optional(),
+});
+
+const ticketStatusSchema = z.object({ status: z.enum(["open", "in-progress", "resolved"]) });
+const ticketAssignSchema = z.object({ adminId: objectId.nullable().optional() });
+
+const categorySchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  image: z.string().trim().optional().nullable(),
+  slug: z.string().trim().min(1).max(100).optional(),
+  parent: objectId.optional().nullable(),
+});
+const categoryUpdateSchema = categorySchema.partial();
+
+const productListQuery = z.object({
+  q: z.string().trim().min(1).optional(),
+  category: z.string().trim().min(1).optional(),
+  stockStatus: z.enum(["in-stock", "out-of-stock"]).optional(),
+  minPrice: fromQuery(price).optional(),
+  maxPrice: fromQuery(price).optional(),
+  merchantId: objectId.optional(),
+  sort: z.enum(["newest", "oldest", "price_asc", "price_desc"]).default("newest"),
+  limit: limitParam(20),
+  cursor: z.string().optional(),
+});
+
+// e.g. { name: "Storage", values: ["128GB", "256GB"] }
+const productOptionSchema = z.object({
+  name: z.string().trim().min(1).max(50),
+  values: z.array(z.string().trim().min(1).max(50)).min(1),
+});
+
+// attributes pick one value per option, e.g. { Storage: "256GB", Colour: "Black" }
+const variantSchema = z.object({
+  sku: z.string().trim().min(1).max(64),
+  attributes: z.record(z.string(), z.string().trim().min(1)),
+  retailPrice: price,
+  merchantPrice: price,
+  quantity: nonNegativeInt.default(0),
+  images: z.array(z.string().trim().min(1)).default([]),
+});
+// Quantity changes go through update-stock so they reach the ledger
+const variantUpdateSchema = z.object({
+  sku: z.string().trim().min(1).max(64).optional(),
+  attributes: z.record(z.string(), z.string().trim().min(1)).optional(),
+  retailPrice: price.optional(),
+  merchantPrice: price.optional(),
+  images: z.array(z.string().trim().min(1)).optional(),
+});
+
+// categoryId is preferred; a category name/slug is still accepted from older clients.
+// Products with variants take prices and stock from the variants instead.
+const productSchema = z
+  .object({
+    title: z.string().trim().min(1).max(200),
+    description: z.string().trim().min(1),
+    categoryId: objectId.optional(),
+    category: z.string().trim().min(1).optional(),
+    images: z.array(z.string().trim().min(1)).min(1),
+    retailPrice: price.optional(),
+    merchantPrice: price.optional(),
+    quantity: nonNegativeInt.optional(),
+    lowStockThreshold: nonNegativeInt.nullable().optional(),
+    options: z.array(productOptionSchema).default([]),
+    variants: z.array(variantSchema).default([]),
+  })
+  .refine((p) => p.categoryId || p.category, { message: "categoryId is required", path: ["categoryId"] })
+  .refine((p) => p.variants.length || (p.retailPrice !== undefined && p.merchantPrice !== undefined && p.quantity !== undefined), {
+    message: "retailPrice, merchantPrice and quantity are required for products without variants",
+    path: ["retailPrice"],
+  })
+  .refine((p) => !p.variants.length || p.options.length, { message: "Variants need options", path: ["options"] });
+
+const productEditSchema = z.object({
+  title: z.string().trim().min(1).max(200).optional(),
+  images: z.array(z.string().trim().min(1)).min(1).optional(),
+  categoryId: objectId.optional(),
+  category: z.string().trim().min(1).optional(),
+  retailPrice: price.optional(),
+  merchantPrice: price.optional(),
+  quantity: nonNegativeInt.optional(),
+  lowStockThreshold: nonNegativeInt.nullable().optional(),
+  options: z.array(productOptionSchema).optional(),
+});
+
+// Time-boxed sale: a fixed sale price (simple products) or a percentage off (also applies to variants)
+const saleSchema = z
+  .object({
+    price: price.optional(),
+    percentOff: z.number().gt(0).lt(100).optional(),
+    startsAt: dateInput.optional(),
+    endsAt: dateInput,
+  })
+  .refine((s) => (s.price === undefined) !== (s.percentOff === undefined), {
+    message: "Give either price or percentOff",
+    path: ["price"],
+  })
+  .refine((s) => s.endsAt > (s.startsAt || new Date()), { message: "endsAt must be in the future and after startsAt", path: ["endsAt"] });
+
+// variantId is required for products with variants
+const stockUpdateSchema = z.object({ quantity: nonNegativeInt, variantId: objectId.optional(), note });
+const stockOutSchema = z.object({ variantId: objectId.optional(), note }); // no variantId: every variant
+const stockLedgerQuery = z.object({
+  page: pageParam,
+  limit: limitParam(50),
+});
+const lowStockQuery = z.object({ merchantId: objectId.optional() }); // admins may look at any merchant
+
+const blogInputSchema = z.object({
+  title: z.string().trim().min(1).max(300),
+  content: z.string().min(1),
+  thumbnail: z.string().trim().optional().nullable(),
+  category: z.string().trim().optional().nullable(),
+  slug: z.string().trim().min(1).max(200).optional(),
+});
+const blogUpdateSchema = blogInputSchema.partial();
+
+const blogsQuery = z.object({ category: z.string().trim().optional() });
+const manageBlogsQuery = z.object({ status: z.enum(["draft", "published"]).optional() });
+
+const blogAuthorSchema = z.object({ enabled: z.boolean() });
+
+const couponCode = z
+  .string()
+  .trim()
+  .toUpperCase()
+  .regex(/^[A-Z0-9_-]{3,32}$/, "Codes are 3-32 letters, numbers, dashes or underscores");
+
+// "cod" or the name of a gateway provider (see PAYMENT_PROVIDERS)
+const paymentMethod = z.string().trim().toLowerCase().max(30).default("cod");
+
+// One-off delivery address; without it (or addressId) the default saved address is used
+const shippingAddress = z.object(addressFields).optional();
+
+// Buy-now; `product` is the object older clients send, only its _id is used
+const orderSchema = z
+  .object({
+    productId: objectId.optional(),
+    product: z.object({ _id: objectId }).passthrough().optional(),
+    variantId: objectId.optional(),
+    quantity: positiveInt.default(1),
+    couponCode: couponCode.optional(),
+    paymentMethod,
+    addressId: objectId.optional(),
+    shippingAddress,
+  })
+  .refine((o) => o.productId || o.product, { message: "productId is required", path: ["productId"] })
+  .transform((o) => ({
+    productId: o.productId || o.product._id,
+    variantId: o.variantId || null,
+    quantity: o.quantity,
+    couponCode: o.couponCode || null,
+    paymentMethod: o.paymentMethod,
+    addressId: o.addressId || null,
+    shippingAddress: o.shippingAddress || null,
+  }));
+
+const checkoutSchema = z.object({
+  couponCode: couponCode.optional(),
+  paymentMethod,
+  addressId: objectId.optional(),
+  shippingAddress,
+});
+
+const trackingSchema = z.object({
+  carrier: z.string().trim().min(2).max(50),
+  trackingNumber: z.string().trim().min(3).max(100),
+  url: z.url().nullable().optional(),
+});
+
+const orderStatusSchema = z
+  .object({
+    status: z.enum(["pending", "confirmed", "shipped", "delivered", "cancelled"]),
+    note,
+    tracking: trackingSchema.optional(),
+  })
+  .refine((o) => !o.tracking || o.status === "shipped", { message: "tracking is only accepted when shipping", path: ["tracking"] });
+
+const noteSchema = z.object({ note });
+
+const ordersQuery = z.object({ scope: z.enum(["all", "mine"]).optional() });
+
+const cartItemSchema = z.object({ productId: objectId, variantId: objectId.optional(), quantity: positiveInt.default(1) });
+const cartQuantitySchema = z.object({ quantity: positiveInt });
+
+const productRequestSchema = z.object({
+  variantId: objectId.optional(),
+  quantity: positiveInt.default(1),
+  offeredPrice: price.optional(),
+  note,
+});
+const requestListInputSchema = productRequestSchema.extend({ productId: objectId });
+
+const counterOfferSchema = z.object({
+  quantity: positiveInt.optional(),
+  unitPrice: price.optional(),
+  note,
+});
+
+// Defaults (minSpend 0, perUserLimit 1, active) are applied when the coupon is created
+const couponFields = {
+  code: couponCode,
+  description: z.string().trim().max(300).optional(),
+  type: z.enum(["percent", "fixed"]),
+  value: z.number().positive(),
+  maxDiscount: price.nullable().optional(), // cap for percent coupons
+  minSpend: price.optional(),
+  categoryIds: z.array(objectId).optional(),
+  productIds: z.array(objectId).optional(),
+  startsAt: dateInput.optional(),
+  expiresAt: dateInput.nullable().optional(),
+  usageLimit: positiveInt.nullable().optional(), // total redemptions; null = unlimited
+  perUserLimit: positiveInt.optional(),
+  active: z.boolean().optional(),
+};
+const couponSchema = z
+  .object(couponFields)
+  .refine((c) => c.type !== "percent" || c.value <= 100, { message: "A percent discount cannot exceed 100", path: ["value"] });
+const couponUpdateSchema = z.object(couponFields).omit({ code: true }).partial();
+const couponsQuery = z.object({ active: z.enum(["true", "false"]).optional() });
+const couponPreviewSchema = z.object({ code: couponCode });
+
+const commissionRuleSchema = z
+  .object({
+    scope: z.enum(["global", "category", "merchant"]),
+    categoryId: objectId.optional(),
+    merchantId: objectId.optional(),
+    rate: z.number().min(0).max(100),
+  })
+  .refine((r) => r.scope !== "category" || r.categoryId, { message: "categoryId is required", path: ["categoryId"] })
+  .refine((r) => r.scope !== "merchant" || r.merchantId, { message: "merchantId is required", path: ["merchantId"] });
+
+const payoutSchema = z.object({
+  merchantId: objectId,
+  amount: z.number().positive(),
+  method: z.string().trim().max(50).optional(),
+  reference: z.string().trim().max(100).optional(),
+  note,
+});
+const payoutsQuery = z.object({
+  merchantId: objectId.optional(),
+  page: pageParam,
+  limit: limitParam(20),
+});
+const statementQuery = z.object({
+  from: dateInput.optional(),
+  to: dateInput.optional(),
+  page: pageParam,
+  limit: limitParam(50),
+});
+
+const documentQuery = z.object({ format: z.enum(["html", "pdf"]).default("html") });
+
+const mockPaymentSchema = z.object({
+  outcome: z.enum(["succeeded", "failed"]),
+  reason: z.string().trim().max(200).optional(),
+});
+const mockPaymentParams = z.object({ intentId: z.string().trim().max(100) });
+
+const notificationsQuery = z.object({
+  unread: z.enum(["true", "false"]).optional(),
+  page: pageParam,
+  limit: limitParam(20),
+});
+
+const wishlistItemSchema = z.object({ productId: objectId, notifyWhenInStock: z.boolean().default(false) });
+
+const reviewSchema = z.object({
+  rating: z.number().int().min(1).max(5),
+  text: z.string().trim().min(1).max(2000),
 });
+const reviewUpdateSchema = reviewSchema
+  .partial()
+  .refine((r) => r.rating !== undefined || r.text !== undefined, { message: "Nothing to update" });
+const reviewReplySchema = z.object({ text: z.string().trim().min(1).max(2000) });
+const reviewHideSchema = z.object({ reason: z.string().trim().max(500).optional() });
+const reviewsQuery = z.object({
+  sort: z.enum(["newest", "highest", "lowest"]).default("newest"),
+  page: pageParam,
+  limit: limitParam(20),
+});
+
+// Turns Zod issues into the API's single 400 shape: { error, details: [{ path, message }] }
+const validationError = (res, issues) =>
+  res.status(400).json({
+    error: "Validation failed",
+    details: issues.map((i) => ({ path: Array.isArray(i.path) ? i.path.join(".") : i.path, message: i.message })),
+  });
 
-function validate(schema) {
+// Validates req[source] ("body", "params" or "query") and replaces it with the parsed data
+function validate(schema, source = "body") {
   return (req, res, next) => {
-    const parsed = schema.safeParse(req.body);
-    if (!parsed.success) {
-      const details = parsed.error.issues.map((i) => ({
-        path: i.path.join("."),
-        message: i.message,
-      }));
-      return res.status(400).json({ error: "Validation failed", details });
+    const parsed = schema.safeParse(req[source] ?? {});
+    if (!parsed.success) return validationError(res, parsed.error.issues);
+
+    if (source === "query") {
+      // Express 5 exposes req.query through a getter, so shadow it instead of assigning
+      Object.defineProperty(req, "query", { value: parsed.data, writable: true, configurable: true, enumerable: true });
+    } else {
+      req[source] = parsed.data;
     }
-    req.body = parsed.data;
     next();
   };
 }
@@ -233,6 +754,8 @@ const requireAuth = async (req, res, next) => {
       });
       user = created.toObject();
     } else {
+      if (user.deletedAt) return res.status(403).json({ error: "Account has been deleted" });
+      if (user.status === "blocked") return res.status(403).json({ error: "Account is blocked" });
       await User.updateOne({ _id: user._id }, { $inc: { loginCount: 1 } });
     }
 
@@ -245,6 +768,24 @@ const requireAuth = async (req, res, next) => {
   }
 };
 
+// Like requireAuth, but lets anonymous requests through with req.user unset.
+// Never creates users or counts logins; used to shape public responses by role.
+const optionalAuth = async (req, _res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) return next();
+
+  try {
+    const decoded = await admin.auth().verifyIdToken(token);
+    if (decoded.email) {
+      const user = await User.findOne({ email: decoded.email, deletedAt: null, status: { $ne: "blocked" } }).lean();
+      req.user = user || undefined;
+    }
+  } catch (err) {
+    // An invalid token on a public route is treated as anonymous
+  }
+  next();
+};
+
 const requireMerchant = (req, res, next) => {
   if (!req.user) return res.status(401).json({ error: "Unauthorized" });
   if (req.user.role !== "merchant") return res.status(403).json({ error: "Only merchants allowed" });
@@ -258,6 +799,12 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+const requireBlogAuthor = (req, res, next) => {
+  if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+  if (req.user.role !== "admin" && !req.user.blogAuthor) return res.status(403).json({ error: "Blog authors only" });
+  next();
+};
+
 // ---------------------------
 // Health Check
 // ---------------------------
@@ -270,27 +817,25 @@ app.get("/api/v1/auth/me", requireAuth, async (req, res) => {
   res.json({ user: req.user });
 });
 
-app.post("/api/v1/auth/add-user", async (req, res) => {
+// Registration/profile bootstrap after Firebase sign-up. requireAuth has already
+// created the account from the verified token; only profile fields are accepted here.
+// Roles and statuses are admin-managed (see /api/v1/admin/users/:id/role).
+app.post("/api/v1/auth/add-user", requireAuth, validate(registerUserSchema), async (req, res) => {
   try {
-    const { name, email, phone, role, status, roleRequest, loginCount, ventech_user, frontend_role, shopDetails } = req.body;
+    const { name, email, phone, photoURL } = req.body;
+    if (email && email !== req.user.email)
+      return res.status(403).json({ error: "Email does not match the signed-in account" });
 
-    const updatedUser = await User.findOneAndUpdate(
-      { email },
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
       {
         $set: {
-          name,
-          photoURL: "https://cdn-icons-png.flaticon.com/128/3135/3135715.png",
-          phone: phone || null,
-          role: role || "customer",
-          status: status || "active",
-          loginCount: loginCount || 1,
-          ventech_user: ventech_user ?? true,
-          frontend_role: frontend_role || role || "customer",
-          roleRequest: roleRequest || null,
-          shopDetails: shopDetails || null,
+          name: name || req.user.name,
+          photoURL: photoURL || req.user.photoURL || DEFAULT_AVATAR,
+          phone: phone ?? req.user.phone ?? null,
         },
       },
-      { new: true, upsert: true }
+      { new: true, runValidators: true }
     );
 
     res.status(201).json({ user: updatedUser, message: "User created or updated successfully" });
@@ -300,23 +845,54 @@ app.post("/api/v1/auth/add-user", async (req, res) => {
   }
 });
 
+// Change a user's role (admin only). Admins cannot change their own role.
+app.patch("/api/v1/admin/users/:id/role", requireAuth, requireAdmin, validate(idParams, "params"), validate(roleChangeSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (id === req.user._id.toString()) return res.status(400).json({ message: "You cannot change your own role" });
+
+    const user = await User.findById(id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    user.role = req.body.role;
+    await user.save();
+
+    res.json({ success: true, message: `Role changed to ${user.role}`, user });
+  } catch (err) {
+    console.error("Role change error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // ---------------------------
 // Merchant Request Routes
 // ---------------------------
-app.post("/api/v1/auth/request-merchant", requireAuth, async (req, res) => {
+// Apply (or re-apply after a rejection / change request) to become a merchant
+app.post("/api/v1/auth/request-merchant", requireAuth, validate(shopRequestSchema), async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
     if (!user) return res.status(404).json({ message: "User not found" });
 
+    if (user.role === "merchant") return res.status(400).json({ message: "You are already a merchant" });
+
     // Prevent duplicate pending request
     if (user.roleRequest?.type === "merchant" && user.roleRequest?.status === "pending") {
       return res.status(400).json({ message: "Merchant request already pending" });
     }
 
-    // Only set roleRequest for merchant
-    user.roleRequest = { type: "merchant", status: "pending", requestedAt: new Date() };
-    
-    
+    const { shopDetails } = req.body;
+    const history = user.roleRequest?.type === "merchant" ? user.roleRequest.history || [] : [];
+    user.roleRequest = {
+      type: "merchant",
+      status: "pending",
+      requestedAt: new Date(),
+      shopDetails,
+      reason: null,
+      reviewedBy: null,
+      reviewedAt: null,
+      history: [...history, { status: "pending", by: user._id, shopDetails }],
+    };
+
     // Optionally keep account active while waiting
     user.status = "active";
 
@@ -329,19 +905,53 @@ app.post("/api/v1/auth/request-merchant", requireAuth, async (req, res) => {
   }
 });
 
+// Applicant's view of their merchant application and its history
+app.get("/api/v1/auth/merchant-application", requireAuth, async (req, res) => {
+  const application = req.user.roleRequest?.type === "merchant" ? req.user.roleRequest : null;
+  res.json({ application });
+});
 
+// Loads a user with a merchant application under review; responds and returns null otherwise
+async function findPendingApplicant(req, res) {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ message: "User not found" });
+    return null;
+  }
+  if (!user.roleRequest || user.roleRequest.type !== "merchant") {
+    res.status(400).json({ message: "No merchant request found" });
+    return null;
+  }
+  if (user.roleRequest.status !== "pending") {
+    res.status(400).json({ message: `Merchant request is already ${user.roleRequest.status}` });
+    return null;
+  }
+  return user;
+}
 
+// Records an admin decision on the application
+function reviewApplication(user, status, admin, reason = null) {
+  user.roleRequest.status = status;
+  user.roleRequest.reason = reason;
+  user.roleRequest.reviewedBy = admin._id;
+  user.roleRequest.reviewedAt = new Date();
+  user.roleRequest.history.push({ status, by: admin._id, reason });
+}
 
-app.patch("/api/v1/admin/reject-merchant/:id", requireAuth, requireAdmin, async (req, res) => {
+app.patch("/api/v1/admin/reject-merchant/:id", requireAuth, requireAdmin, validate(idParams, "params"), validate(merchantReviewSchema), async (req, res) => {
   try {
-    const { id } = req.params;
-    const user = await User.findById(id);
-    if (!user) return res.status(404).json({ message: "User not found" });
-    if (!user.roleRequest || user.roleRequest.type !== "merchant") return res.status(400).json({ message: "No merchant request found" });
+    const user = await findPendingApplicant(req, res);
+    if (!user) return;
 
-    user.roleRequest.status = "rejected";
+    reviewApplication(user, "rejected", req.user, req.body.reason);
     user.role = "customer";
     await user.save();
+    await notify(user._id, {
+      type: "merchant-application",
+      title: "Merchant application rejected",
+      message: req.body.reason,
+      data: { status: "rejected" },
+    });
 
     res.json({ message: "Merchant request rejected", user });
   } catch (err) {
@@ -350,20 +960,56 @@ app.patch("/api/v1/admin/reject-merchant/:id", requireAuth, requireAdmin, async
   }
 });
 
-app.patch("/api/v1/admin/approve-merchant/:id", requireAuth, requireAdmin, async (req, res) => {
+// Send the application back to the applicant for corrections
+app.patch("/api/v1/admin/request-merchant-changes/:id", requireAuth, requireAdmin, validate(idParams, "params"), validate(merchantReviewSchema), async (req, res) => {
   try {
-    const { id } = req.params;
-    const user = await User.findById(id);
-    if (!user) return res.status(404).json({ message: "User not found" });
-    if (!user.roleRequest || user.roleRequest.type !== "merchant") return res.status(400).json({ message: "No merchant request found" });
+    const user = await findPendingApplicant(req, res);
+    if (!user) return;
+
+    reviewApplication(user, "changes_requested", req.user, req.body.reason);
+    await user.save();
+    await notify(user._id, {
+      type: "merchant-application",
+      title: "Changes requested on your merchant application",
+      message: req.body.reason,
+      data: { status: "changes_requested" },
+    });
+
+    res.json({ message: "Changes requested", user });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.patch("/api/v1/admin/approve-merchant/:id", requireAuth, requireAdmin, validate(idParams, "params"), async (req, res) => {
+  try {
+    const user = await findPendingApplicant(req, res);
+    if (!user) return;
 
-    user.roleRequest.status = "approved";
+    reviewApplication(user, "approved", req.user);
     user.role = "merchant";
     user.status = user.status === "pending" ? "active" : user.status;
+    // Applications from before shop data was collected keep whatever is on the profile
+    if (user.roleRequest.shopDetails) {
+      user.shopDetails = { ...user.roleRequest.shopDetails.toObject(), slug: user.shopDetails?.slug, logo: user.shopDetails?.logo || null };
+    }
+    if (!user.shopDetails) user.shopDetails = {};
+    if (!user.shopDetails.slug) {
+      user.shopDetails.slug = await uniqueSlug(User, user.shopDetails.shopName || user.name, user._id, "shopDetails.slug");
+    }
     await user.save();
+    await notify(user._id, {
+      type: "merchant-application",
+      title: "You're now a merchant",
+      message: "Your merchant application was approved. You can start adding products.",
+      data: { status: "approved", shopSlug: user.shopDetails.slug },
+    });
 
     res.json({ message: "Merchant approved", user });
   } catch (err) {
+    // Another shop took the generated slug between the check and the save
+    if (err.code === 11000) return res.status(409).json({ message: "Shop URL was taken meanwhile, please retry" });
     console.error(err);
     res.status(500).json({ message: "Server error" });
   }
@@ -372,12 +1018,12 @@ app.patch("/api/v1/admin/approve-merchant/:id", requireAuth, requireAdmin, async
 // ---------------------------
 // Profile Update Route
 // ---------------------------
-app.patch("/api/v1/auth/update-profile", requireAuth, async (req, res) => {
+app.patch("/api/v1/auth/update-profile", requireAuth, validate(updateProfileSchema), async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
     if (!user) return res.status(404).json({ message: "User not found" });
 
-    const { name, phone, avatar, district, upazila, shopDetails } = req.body;
+    const { name, phone, avatar, district, upazila, shopDetails, contactVisibility } = req.body;
 
     // General user fields
     user.name = name || user.name;
@@ -388,17 +1034,34 @@ app.patch("/api/v1/auth/update-profile", requireAuth, async (req, res) => {
 
     // Merchant/shop info
     if (shopDetails) {
+      if (shopDetails.slug && shopDetails.slug !== user.shopDetails?.slug) {
+        const taken = await User.exists({ "shopDetails.slug": shopDetails.slug, _id: { $ne: user._id } });
+        if (taken) return res.status(409).json({ message: "Shop URL is already taken" });
+      }
+
       user.shopDetails = {
         shopName: shopDetails.shopName || user.shopDetails?.shopName || "",
         shopNumber: shopDetails.shopNumber || user.shopDetails?.shopNumber || "",
         shopAddress: shopDetails.shopAddress || user.shopDetails?.shopAddress || "",
         tradeLicense: shopDetails.tradeLicense || user.shopDetails?.tradeLicense || "",
+        slug: shopDetails.slug || user.shopDetails?.slug,
+        logo: shopDetails.logo !== undefined ? shopDetails.logo : user.shopDetails?.logo || null,
       };
     }
+    if (user.role === "merchant" && user.shopDetails && !user.shopDetails.slug) {
+      user.shopDetails.slug = await uniqueSlug(User, user.shopDetails.shopName || user.name, user._id, "shopDetails.slug");
+    }
+
+    // Who can see the merchant's email/phone on product pages
+    if (contactVisibility) {
+      if (contactVisibility.email) user.contactVisibility.email = contactVisibility.email;
+      if (contactVisibility.phone) user.contactVisibility.phone = contactVisibility.phone;
+    }
 
     await user.save();
     res.json({ message: "Profile updated successfully", user });
   } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ message: "Shop URL is already taken" });
     console.error("Update profile error:", err);
     res.status(500).json({ message: "Server error" });
   }
@@ -407,523 +1070,5499 @@ app.patch("/api/v1/auth/update-profile", requireAuth, async (req, res) => {
 
 
 // ---------------------------
-// Admin User Management Routes
+// Address Book & Delivery Zones
 // ---------------------------
-app.get("/api/v1/admin/users", requireAuth, async (req, res, next) => {
-  try {
-    const users = await User.find({ role: { $ne: "admin" } }).sort({ createdAt: -1 });
-    res.status(200).json(users);
-  } catch (err) {
-    next(err);
-  }
+const MAX_ADDRESSES = 10;
+
+// Flat shipping fee and delivery time for a district, or one upazila of it.
+// An upazila zone beats the district-wide zone (upazila null).
+const DeliveryZoneSchema = new Schema(
+  {
+    district: { type: String, required: true, trim: true },
+    upazila: { type: String, trim: true, default: null },
+    // lowercased copies for matching whatever casing customers type
+    districtKey: { type: String, required: true },
+    upazilaKey: { type: String, default: null },
+    fee: { type: Number, required: true, min: 0 }, // per parcel (one per merchant)
+    minDays: { type: Number, required: true, min: 0 },
+    maxDays: { type: Number, required: true, min: 0 },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+DeliveryZoneSchema.index({ districtKey: 1, upazilaKey: 1 }, { unique: true });
+
+const zoneKey = (name) => (name ? name.trim().toLowerCase() : null);
+
+DeliveryZoneSchema.pre("validate", function (next) {
+  this.districtKey = zoneKey(this.district);
+  this.upazilaKey = zoneKey(this.upazila);
+  next();
 });
 
-app.delete("/api/v1/admin/users/:id", requireAuth, requireAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const user = await User.findByIdAndDelete(id);
-    if (!user) return res.status(404).json({ message: "User not found" });
-    res.json({ message: "User deleted successfully" });
-  } catch (err) {
-    console.error("Delete user error:", err);
-    res.status(500).json({ message: "Server error" });
-  }
+const DeliveryZone = model("DeliveryZone", DeliveryZoneSchema);
+
+// Stands in for a zone wherever none is set up, so checkout works before (and beyond) the admin's zones
+const DEFAULT_DELIVERY_ZONE = Object.freeze({
+  _id: null,
+  district: null,
+  upazila: null,
+  fee: DEFAULT_SHIPPING_FEE,
+  minDays: DEFAULT_DELIVERY_MIN_DAYS,
+  maxDays: DEFAULT_DELIVERY_MAX_DAYS,
+});
+
+// The zone an address ships under; DEFAULT_DELIVERY_ZONE when no active zone covers it
+async function findDeliveryZone(district, upazila = null) {
+  const zones = await DeliveryZone.find({
+    districtKey: zoneKey(district),
+    upazilaKey: { $in: [zoneKey(upazila), null] },
+    active: true,
+  });
+  return zones.find((z) => z.upazilaKey) || zones[0] || DEFAULT_DELIVERY_ZONE;
+}
+
+const deliveryEstimate = (zone, from = new Date()) => ({
+  zoneId: zone._id,
+  minDays: zone.minDays,
+  maxDays: zone.maxDays,
+  estimatedBy: new Date(from.getTime() + zone.maxDays * 24 * 60 * 60 * 1000),
 });
 
-app.get("/api/v1/admin/pending-merchants", requireAuth,  async (req, res) => {
+// Only the address fields, without the address book's _id/isDefault/timestamps
+const addressSnapshot = (address) =>
+  Object.fromEntries(Object.keys(addressPaths).map((key) => [key, address[key] ?? null]));
+
+// The address an order ships to: a one-off address, a saved one, or the default.
+// Returns { address } or { problem }.
+function resolveShippingAddress(user, { addressId = null, shippingAddress = null }) {
+  if (shippingAddress) return { address: shippingAddress };
+  const addresses = user.addresses || []; // req.user is lean, so no DocumentArray helpers here
+  if (addressId) {
+    const address = addresses.find((a) => a._id.toString() === addressId.toString());
+    return address ? { address } : { problem: { addressId, reason: "Address not found" } };
+  }
+  const fallback = addresses.find((a) => a.isDefault) || addresses[0];
+  return fallback ? { address: fallback } : { problem: { reason: "A shipping address is required" } };
+}
+
+// Makes `id` the only default address. Does not save.
+function setDefaultAddress(user, id) {
+  for (const address of user.addresses) address.isDefault = address._id.toString() === id.toString();
+}
+
+// Loads the current user and one of their addresses; responds and returns null if missing
+async function findAddressOr404(req, res) {
+  const user = await User.findById(req.user._id);
+  const address = user?.addresses.id(req.params.id);
+  if (!address) {
+    res.status(404).json({ success: false, message: "Address not found" });
+    return null;
+  }
+  return { user, address };
+}
+
+// My saved addresses, default first
+app.get("/api/v1/addresses", requireAuth, async (req, res) => {
   try {
-    const pendingMerchants = await User.find({
-      "roleRequest.type": "merchant",
-      "roleRequest.status": "pending"
-    }).sort({ "roleRequest.requestedAt": -1 });
-    res.status(200).json(pendingMerchants);
+    const user = await User.findById(req.user._id).select("addresses");
+    const data = [...user.addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+    res.json({ success: true, count: data.length, data });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error" });
+    console.error("Addresses error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// ---------------------------
-// Mailbox Routes
-// ---------------------------
-app.post("/api/public/mailbox", async (req, res) => {
+// Save an address; the first one (or one sent with isDefault) becomes the default
+app.post("/api/v1/addresses", requireAuth, validate(addressSchema), async (req, res) => {
   try {
-    const { name, email, subject, message } = req.body;
-    if (!name || !email || !subject || !message) return res.status(400).json({ message: "All fields are required" });
+    const user = await User.findById(req.user._id);
+    if (user.addresses.length >= MAX_ADDRESSES)
+      return res.status(400).json({ success: false, message: `You can save up to ${MAX_ADDRESSES} addresses` });
 
-    const mailboxCollection = mongoose.connection.collection("mailbox");
-    const result = await mailboxCollection.insertOne({ name, email, subject, message, createdAt: new Date() });
+    const { isDefault, ...fields } = req.body;
+    user.addresses.push(fields);
+    const address = user.addresses[user.addresses.length - 1];
+    if (isDefault || user.addresses.length === 1) setDefaultAddress(user, address._id);
+    await user.save();
 
-    res.status(201).json({ message: "Message saved successfully", id: result.insertedId });
+    res.status(201).json({ success: true, message: "Address saved", address });
   } catch (err) {
-    console.error("Mailbox POST error:", err);
-    res.status(500).json({ message: "Server error" });
+    console.error("Save address error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-app.get("/api/public/mailbox", async (req, res) => {
+app.patch("/api/v1/addresses/:id", requireAuth, validate(idParams, "params"), validate(addressUpdateSchema), async (req, res) => {
   try {
-    const mailboxCollection = mongoose.connection.collection("mailbox");
-    const messages = await mailboxCollection.find({}).sort({ createdAt: -1 }).toArray();
-    res.status(200).json(messages);
+    const found = await findAddressOr404(req, res);
+    if (!found) return;
+    const { user, address } = found;
+
+    const { isDefault, ...fields } = req.body;
+    address.set(fields);
+    if (isDefault) setDefaultAddress(user, address._id);
+    await user.save();
+
+    res.json({ success: true, message: "Address updated", address });
   } catch (err) {
-    console.error("Mailbox GET error:", err);
-    res.status(500).json({ message: "Server error" });
+    console.error("Update address error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// ---------------------------
-// Category Routes
-// ---------------------------
-const Category = mongoose.model(
-  "Category",
-  new mongoose.Schema({ name: { type: String, required: true }, image: { type: String } }),
-  "categories"
-);
-
-app.get("/api/v1/categories", async (req, res) => {
+app.patch("/api/v1/addresses/:id/default", requireAuth, validate(idParams, "params"), async (req, res) => {
   try {
-    const categories = await Category.find({});
-    res.json(categories);
+    const found = await findAddressOr404(req, res);
+    if (!found) return;
+
+    setDefaultAddress(found.user, found.address._id);
+    await found.user.save();
+    res.json({ success: true, message: "Default address updated", address: found.address });
   } catch (err) {
-    console.error("Failed to fetch categories:", err);
-    res.status(500).json({ message: "Failed to fetch categories" });
+    console.error("Default address error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-app.post("/api/v1/categories", async (req, res) => {
+// Removing the default promotes the oldest remaining address
+app.delete("/api/v1/addresses/:id", requireAuth, validate(idParams, "params"), async (req, res) => {
   try {
-    const { name, image } = req.body;
-    if (!name) return res.status(400).json({ message: "Category name is required" });
+    const found = await findAddressOr404(req, res);
+    if (!found) return;
+    const { user, address } = found;
 
-    const newCategory = new Category({ name, image: image || null });
-    await newCategory.save();
+    const wasDefault = address.isDefault;
+    user.addresses.pull(address._id);
+    if (wasDefault && user.addresses.length) setDefaultAddress(user, user.addresses[0]._id);
+    await user.save();
 
-    res.status(201).json({ success: true, message: "Category created", category: newCategory });
+    res.json({ success: true, message: "Address removed" });
   } catch (err) {
-    console.error("Failed to add category:", err);
-    res.status(500).json({ message: "Failed to add category" });
+    console.error("Delete address error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-app.patch("/api/v1/categories/:id", async (req, res) => {
+// Active delivery zones (?district=), for address forms and shipping estimates
+app.get("/api/v1/delivery-zones", validate(deliveryZonesQuery, "query"), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, image } = req.body;
-
-    const category = await Category.findById(id);
-    if (!category) return res.status(404).json({ message: "Category not found" });
-
-    if (name) category.name = name;
-    if (image) category.image = image;
-
-    await category.save();
-    res.json({ success: true, message: "Category updated", category });
+    const filter = { active: true };
+    if (req.query.district) filter.districtKey = zoneKey(req.query.district);
+    const data = await DeliveryZone.find(filter).sort({ districtKey: 1, upazilaKey: 1 });
+    res.json({ success: true, count: data.length, data });
   } catch (err) {
-    console.error("Failed to update category:", err);
-    res.status(500).json({ message: "Failed to update category" });
+    console.error("Delivery zones error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// ---------------------------
-// Product Routes
-// ---------------------------
-const ProductSchema = new Schema(
-  {
-    title: { type: String, required: true, trim: true },
-    description: { type: String, required: true },
-    category: { type: String, required: true },
-    categoryImage: { type: String, default: null },
-    images: [{ type: String, required: true }],
-    retailPrice: { type: Number, required: true },
-    merchantPrice: { type: Number, required: true },
-    quantity: { type: Number, required: true, min: 0 },
-    stockStatus: { type: String, enum: ["in-stock", "out-of-stock"], default: "in-stock" },
-    merchantId: { type: Schema.Types.ObjectId, ref: "User", required: true },
-  },
-  { timestamps: true }
-);
-
-const Product = model("Product", ProductSchema);
-
-// Create Product
-app.post("/api/v1/products", requireAuth, requireMerchant, async (req, res) => {
+// Shipping for my cart to a saved address (?addressId=) or an area (?district=&upazila=)
+app.get("/api/v1/shipping/quote", requireAuth, validate(shippingQuoteQuery, "query"), async (req, res) => {
   try {
-    const { title, description, category, categoryImage, images, retailPrice, merchantPrice, quantity } = req.body;
-    const stockStatus = quantity > 0 ? "in-stock" : "out-of-stock";
+    let { district, upazila } = req.query;
+    if (req.query.addressId) {
+      const user = await User.findById(req.user._id).select("addresses");
+      const address = user.addresses.id(req.query.addressId);
+      if (!address) return res.status(404).json({ success: false, message: "Address not found" });
+      ({ district, upazila } = address);
+    }
 
-    const newProduct = new Product({ title, description, category, categoryImage: categoryImage || null, images, retailPrice, merchantPrice, quantity, stockStatus, merchantId: req.user._id });
-    await newProduct.save();
+    const zone = await findDeliveryZone(district, upazila);
 
-    res.status(201).json({ success: true, message: "Product added successfully", product: newProduct });
+    // One parcel per merchant in the cart
+    const cart = await Cart.findOne({ userId: req.user._id }).populate("items.productId", "merchantId");
+    const merchants = new Set((cart?.items || []).filter((i) => i.productId).map((i) => i.productId.merchantId.toString()));
+    const parcels = Math.max(merchants.size, 1);
+
+    res.json({
+      success: true,
+      zone: zone._id ? { _id: zone._id, district: zone.district, upazila: zone.upazila } : null, // null: default rate
+      feePerParcel: zone.fee,
+      parcels,
+      shippingFee: roundMoney(zone.fee * parcels),
+      ...deliveryEstimate(zone),
+    });
   } catch (err) {
-    console.error("❌ Add Product Error:", err);
-    res.status(500).json({ success: false, message: "Failed to add product", error: err.message });
+    console.error("Shipping quote error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// Get Products (All)
-app.get("/api/v1/products", requireAuth, async (req, res) => {
+// Every zone, including inactive ones (admin only)
+app.get("/api/v1/admin/delivery-zones", requireAuth, requireAdmin, validate(deliveryZonesQuery, "query"), async (req, res) => {
   try {
-    const products = await Product.find();
-    console.log(products)
-    res.json(products);
+    const filter = req.query.includeInactive === "false" ? { active: true } : {};
+    if (req.query.district) filter.districtKey = zoneKey(req.query.district);
+    const data = await DeliveryZone.find(filter).sort({ districtKey: 1, upazilaKey: 1 });
+    res.json({ success: true, count: data.length, data });
   } catch (err) {
-    console.error("Error fetching products:", err);
-    res.status(500).json({ message: "Server Error" });
+    console.error("Delivery zones error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// Get Merchant by ID
-app.get('/api/v1/getUser/:id', async (req, res) => {
+app.post("/api/v1/admin/delivery-zones", requireAuth, requireAdmin, validate(deliveryZoneSchema), async (req, res) => {
   try {
-    const { id } = req.params;
-    const merchant = await User.findById(id).select('name email phone photoURL shopDetails role status');
+    const zone = await DeliveryZone.create(req.body);
+    res.status(201).json({ success: true, message: "Delivery zone created", zone });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ success: false, message: "A zone for this area already exists" });
+    console.error("Create delivery zone error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.patch(
+  "/api/v1/admin/delivery-zones/:id",
+  requireAuth,
+  requireAdmin,
+  validate(idParams, "params"),
+  validate(deliveryZoneUpdateSchema),
+  async (req, res) => {
+    try {
+      const zone = await DeliveryZone.findById(req.params.id);
+      if (!zone) return res.status(404).json({ success: false, message: "Delivery zone not found" });
+
+      zone.set(req.body);
+      if (zone.minDays > zone.maxDays)
+        return validationError(res, [{ path: "minDays", message: "minDays cannot exceed maxDays" }]);
+      await zone.save();
+
+      res.json({ success: true, message: "Delivery zone updated", zone });
+    } catch (err) {
+      if (err.code === 11000) return res.status(409).json({ success: false, message: "A zone for this area already exists" });
+      console.error("Update delivery zone error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+// Orders keep their own copy of the fee and estimate, so removing a zone is safe
+app.delete("/api/v1/admin/delivery-zones/:id", requireAuth, requireAdmin, validate(idParams, "params"), async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+    if (!zone) return res.status(404).json({ success: false, message: "Delivery zone not found" });
+    res.json({ success: true, message: "Delivery zone removed" });
+  } catch (err) {
+    console.error("Delete delivery zone error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ---------------------------
+// Admin User Management Routes
+// ---------------------------
+// List users: ?q= (name/email), ?role=, ?status=, ?includeDeleted=true, ?page=, ?limit=
+app.get("/api/v1/admin/users", requireAuth, requireAdmin, validate(adminUsersQuery, "query"), async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+
+    const filter = {};
+    if (req.query.includeDeleted !== "true") filter.deletedAt = null;
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(req.query.q), "i");
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      User.countDocuments(filter),
+    ]);
+    res.status(200).json({ data: users, total, page, limit, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Loads the target of an admin action on another user; responds and returns null otherwise
+async function findOtherUser(req, res) {
+  const { id } = req.params;
+  if (id === req.user._id.toString()) {
+    res.status(400).json({ message: "You cannot do this to your own account" });
+    return null;
+  }
+  const user = await User.findById(id);
+  if (!user) res.status(404).json({ message: "User not found" });
+  return user;
+}
+
+app.patch("/api/v1/admin/users/:id/block", requireAuth, requireAdmin, validate(idParams, "params"), validate(blockUserSchema), async (req, res) => {
+  try {
+    const user = await findOtherUser(req, res);
+    if (!user) return;
+
+    user.status = "blocked";
+    user.blockedAt = new Date();
+    user.blockedReason = req.body.reason || null;
+    await user.save();
+
+    res.json({ success: true, message: "User blocked", user });
+  } catch (err) {
+    console.error("Block user error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.patch("/api/v1/admin/users/:id/unblock", requireAuth, requireAdmin, validate(idParams, "params"), async (req, res) => {
+  try {
+    const user = await findOtherUser(req, res);
+    if (!user) return;
+    if (user.status !== "blocked") return res.status(400).json({ message: "User is not blocked" });
+
+    user.status = "active";
+    user.blockedAt = null;
+    user.blockedReason = null;
+    await user.save();
+
+    res.json({ success: true, message: "User unblocked", user });
+  } catch (err) {
+    console.error("Unblock user error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Soft delete: the account can no longer sign in, its products leave the catalogue,
+// its open merchant requests are cancelled and its cart, wishlist and stock alerts are cleared.
+// Orders are kept as history.
+app.delete("/api/v1/admin/users/:id", requireAuth, requireAdmin, validate(idParams, "params"), async (req, res) => {
+  try {
+    const user = await findOtherUser(req, res);
+    if (!user) return;
+    if (user.deletedAt) return res.status(400).json({ message: "User is already deleted" });
+
+    const now = new Date();
+    user.deletedAt = now;
+    await user.save();
+
+    const products = await Product.updateMany(
+      { merchantId: user._id, archivedAt: null },
+      { $set: { archivedAt: now, archivedReason: "owner-deleted" } }
+    );
+    const requests = await RequestList.updateMany(
+      {
+        $or: [{ requestedByMerchant: user._id }, { requestedToMerchant: user._id }],
+        status: { $in: [...OPEN_REQUEST_STATUSES, "accepted"] },
+      },
+      {
+        $set: { status: "cancelled", awaitingResponseFrom: null },
+        $push: { timeline: { status: "cancelled", by: req.user._id, note: "Account deleted", at: now } },
+      }
+    );
+    await Cart.updateOne({ userId: user._id }, { $set: { items: [] } });
+    await Wishlist.updateOne({ userId: user._id }, { $set: { items: [] } });
+    await StockAlert.deleteMany({ userId: user._id, notifiedAt: null });
+
+    res.json({
+      message: "User deleted successfully",
+      productsArchived: products.modifiedCount,
+      requestsCancelled: requests.modifiedCount,
+    });
+  } catch (err) {
+    console.error("Delete user error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Undo a soft delete and bring back the products it archived
+app.patch("/api/v1/admin/users/:id/restore", requireAuth, requireAdmin, validate(idParams, "params"), async (req, res) => {
+  try {
+    const user = await findOtherUser(req, res);
+    if (!user) return;
+    if (!user.deletedAt) return res.status(400).json({ message: "User is not deleted" });
+
+    user.deletedAt = null;
+    await user.save();
+    const products = await Product.updateMany(
+      { merchantId: user._id, archivedReason: "owner-deleted" },
+      { $set: { archivedAt: null, archivedReason: null } }
+    );
+
+    res.json({ success: true, message: "User restored", productsRestored: products.modifiedCount, user });
+  } catch (err) {
+    console.error("Restore user error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.get("/api/v1/admin/pending-merchants", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const pendingMerchants = await User.find({
+      "roleRequest.type": "merchant",
+      "roleRequest.status": "pending"
+    }).sort({ "roleRequest.requestedAt": -1 });
+    res.status(200).json(pendingMerchants);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ---------------------------
+// Mailbox Routes
+// ---------------------------
+// Contact-form submissions are support tickets. The sender gets a secret token
+// (only its hash is stored) that lets them follow the ticket without an account.
+const TICKET_STATUSES = ["open", "in-progress", "resolved"];
+
+const SupportTicketSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    subject: { type: String, required: true, trim: true },
+    message: { type: String, required: true },
+    status: { type: String, enum: TICKET_STATUSES, default: "open" },
+    assignedTo: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    replies: [
+      {
+        from: { type: String, enum: ["admin", "sender"], required: true },
+        adminId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+        name: { type: String },
+        message: { type: String, required: true },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    accessTokenHash: { type: String, default: null, select: false },
+    ip: { type: String, default: null, select: false },
+  },
+  { timestamps: true }
+);
+
+SupportTicketSchema.index({ status: 1, createdAt: -1 });
+SupportTicketSchema.index({ email: 1, createdAt: -1 });
+SupportTicketSchema.index({ ip: 1, createdAt: -1 });
+
+// Stored in the original "mailbox" collection so earlier submissions show up as open tickets
+const SupportTicket = model("SupportTicket", SupportTicketSchema, "mailbox");
+
+const TICKET_LIMIT_PER_HOUR = 3;
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Loads a ticket for its original sender via ?token=; responds and returns null otherwise
+async function findTicketForSender(req, res) {
+  const { id } = req.params;
+  const { token } = req.query;
+
+  const ticket = await SupportTicket.findById(id).select("+accessTokenHash");
+  const expected = Buffer.from(ticket?.accessTokenHash || "", "hex");
+  const given = Buffer.from(hashToken(token), "hex");
+  if (!ticket || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    res.status(404).json({ message: "Ticket not found" });
+    return null;
+  }
+  return ticket;
+}
+
+// What the sender sees: their ticket and the conversation, without internal fields
+const senderTicketView = (ticket) => ({
+  _id: ticket._id,
+  subject: ticket.subject,
+  message: ticket.message,
+  status: ticket.status,
+  createdAt: ticket.createdAt,
+  replies: ticket.replies.map((r) => ({ from: r.from, name: r.name, message: r.message, at: r.at })),
+});
+
+// Submit a contact message (opens a ticket)
+app.post("/api/public/mailbox", validate(mailboxSchema), async (req, res) => {
+  try {
+    const { name, email, subject, message } = req.body;
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const duplicate = await SupportTicket.exists({ email, subject, message, createdAt: { $gte: dayAgo } });
+    if (duplicate) return res.status(409).json({ message: "This message was already received" });
+
+    const recent = await SupportTicket.countDocuments({
+      $or: [{ email }, { ip: req.ip }],
+      createdAt: { $gte: hourAgo },
+    });
+    if (recent >= TICKET_LIMIT_PER_HOUR)
+      return res.status(429).json({ message: "Too many messages, please try again later" });
+
+    const token = crypto.randomBytes(24).toString("hex");
+    const ticket = await SupportTicket.create({
+      name,
+      email,
+      subject,
+      message,
+      ip: req.ip,
+      accessTokenHash: hashToken(token),
+    });
+
+    res.status(201).json({
+      message: "Message saved successfully",
+      id: ticket._id,
+      trackingToken: token,
+      trackingUrl: `/api/public/mailbox/${ticket._id}?token=${token}`,
+    });
+  } catch (err) {
+    console.error("Mailbox POST error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Sender follows their ticket through the tokenized link
+app.get("/api/public/mailbox/:id", validate(idParams, "params"), validate(ticketTokenQuery, "query"), async (req, res) => {
+  try {
+    const ticket = await findTicketForSender(req, res);
+    if (!ticket) return;
+    res.json(senderTicketView(ticket));
+  } catch (err) {
+    console.error("Mailbox ticket GET error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Sender adds a follow-up; a resolved ticket is reopened
+app.post(
+  "/api/public/mailbox/:id/replies",
+  validate(idParams, "params"),
+  validate(ticketTokenQuery, "query"),
+  validate(ticketReplySchema),
+  async (req, res) => {
+    try {
+      const ticket = await findTicketForSender(req, res);
+      if (!ticket) return;
+
+      ticket.replies.push({ from: "sender", name: ticket.name, message: req.body.message });
+      if (ticket.status === "resolved") ticket.status = "open";
+      await ticket.save();
+
+      res.status(201).json({ message: "Reply added", ticket: senderTicketView(ticket) });
+    } catch (err) {
+      console.error("Mailbox reply error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Admin inbox (?status=, ?assignedTo= — use "me" for yourself)
+async function listTickets(req, res) {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.assignedTo) filter.assignedTo = req.query.assignedTo === "me" ? req.user._id : req.query.assignedTo;
+    const tickets = await SupportTicket.find(filter).sort({ createdAt: -1 }).populate("assignedTo", "name email");
+    res.status(200).json(tickets);
+  } catch (err) {
+    console.error("Mailbox GET error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+}
+
+app.get("/api/public/mailbox", requireAuth, requireAdmin, validate(ticketsQuery, "query"), listTickets); // kept for older clients
+app.get("/api/v1/admin/tickets", requireAuth, requireAdmin, validate(ticketsQuery, "query"), listTickets);
+
+// Loads a ticket for an admin action; responds and returns null when missing
+async function findTicketOr404(req, res) {
+  const ticket = await SupportTicket.findById(req.params.id).populate("assignedTo", "name email");
+  if (!ticket) res.status(404).json({ message: "Ticket not found" });
+  return ticket;
+}
+
+app.get("/api/v1/admin/tickets/:id", requireAuth, requireAdmin, validate(idParams, "params"), async (req, res) => {
+  try {
+    const ticket = await findTicketOr404(req, res);
+    if (!ticket) return;
+    res.json(ticket);
+  } catch (err) {
+    console.error("Ticket GET error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.patch("/api/v1/admin/tickets/:id/status", requireAuth, requireAdmin, validate(idParams, "params"), validate(ticketStatusSchema), async (req, res) => {
+  try {
+    const { status } = req.body;
+    const ticket = await findTicketOr404(req, res);
+    if (!ticket) return;
+
+    ticket.status = status;
+    await ticket.save();
+    res.json({ success: true, message: "Ticket status updated", ticket });
+  } catch (err) {
+    console.error("Ticket status error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Assign to an admin (defaults to yourself; adminId: null unassigns)
+app.patch("/api/v1/admin/tickets/:id/assign", requireAuth, requireAdmin, validate(idParams, "params"), validate(ticketAssignSchema), async (req, res) => {
+  try {
+    const adminId = req.body.adminId === undefined ? req.user._id : req.body.adminId;
+    if (adminId !== null) {
+      if (!(await User.exists({ _id: adminId, role: "admin" })))
+        return res.status(400).json({ message: "Tickets can only be assigned to admins" });
+    }
+
+    const ticket = await findTicketOr404(req, res);
+    if (!ticket) return;
+
+    ticket.assignedTo = adminId;
+    if (adminId && ticket.status === "open") ticket.status = "in-progress";
+    await ticket.save();
+    await ticket.populate("assignedTo", "name email");
+
+    res.json({ success: true, message: adminId ? "Ticket assigned" : "Ticket unassigned", ticket });
+  } catch (err) {
+    console.error("Ticket assign error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.post("/api/v1/admin/tickets/:id/replies", requireAuth, requireAdmin, validate(idParams, "params"), validate(ticketReplySchema), async (req, res) => {
+  try {
+    const ticket = await findTicketOr404(req, res);
+    if (!ticket) return;
+
+    ticket.replies.push({ from: "admin", adminId: req.user._id, name: req.user.name, message: req.body.message });
+    if (ticket.status === "open") ticket.status = "in-progress";
+    await ticket.save();
+
+    res.status(201).json({ success: true, message: "Reply sent", ticket });
+  } catch (err) {
+    console.error("Ticket reply error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ---------------------------
+// Category Routes
+// ---------------------------
+// URL-safe slug from free text, e.g. "Gaming Laptops" -> "gaming-laptops"
+const slugify = (text) =>
+  String(text)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "item";
+
+// Appends -2, -3, ... until the slug is free in `Model` (ignoring the document `excludeId`)
+async function uniqueSlug(Model, text, excludeId = null, field = "slug") {
+  const base = slugify(text);
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? base : `${base}-${n}`;
+    const filter = { [field]: candidate };
+    if (excludeId) filter._id = { $ne: excludeId };
+    if (!(await Model.exists(filter))) return candidate;
+  }
+}
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whether a lookup ref is an ObjectId rather than a slug. mongoose.isValidObjectId also
+// accepts any 12-character string, which would shadow slugs like "smartphones1".
+const isObjectIdString = (ref) => /^[a-f\d]{24}$/i.test(String(ref));
+
+const CategorySchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    // sparse so categories created before slugs existed don't collide until migrated
+    slug: { type: String, required: true, unique: true, sparse: true, lowercase: true, trim: true },
+    image: { type: String, default: null },
+    parent: { type: Schema.Types.ObjectId, ref: "Category", default: null },
+  },
+  { timestamps: true }
+);
+
+CategorySchema.index({ parent: 1 });
+
+const Category = mongoose.model("Category", CategorySchema, "categories");
+
+// Looks a category up by ObjectId, slug or (case-insensitive) name
+function findCategory(ref) {
+  if (!ref) return null;
+  if (isObjectIdString(ref)) return Category.findById(ref);
+  return Category.findOne({
+    $or: [{ slug: String(ref).toLowerCase() }, { name: new RegExp(`^${escapeRegex(ref)}$`, "i") }],
+  });
+}
+
+// The category plus all of its subcategories, at any depth
+async function categoryWithDescendants(categoryId) {
+  const ids = [categoryId];
+  let frontier = [categoryId];
+  while (frontier.length) {
+    const children = await Category.find({ parent: { $in: frontier } }).select("_id").lean();
+    frontier = children.map((c) => c._id);
+    ids.push(...frontier);
+  }
+  return ids;
+}
+
+// Nests a flat category list under their parents
+function buildCategoryTree(categories) {
+  const nodes = new Map(categories.map((c) => [c._id.toString(), { ...c, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+}
+
+// Validates a requested parent; a category may not sit under itself or its own subcategories.
+// Returns an error message or null.
+async function checkCategoryParent(parentId, categoryId = null) {
+  if (!(await Category.exists({ _id: parentId }))) return "Parent category not found";
+  if (categoryId) {
+    const descendants = await categoryWithDescendants(categoryId);
+    if (descendants.some((id) => id.toString() === parentId.toString()))
+      return "A category cannot be moved under itself or its subcategories";
+  }
+  return null;
+}
+
+// List categories (flat); ?tree=true nests subcategories under their parents
+app.get("/api/v1/categories", async (req, res) => {
+  try {
+    const categories = await Category.find({}).sort({ name: 1 }).lean();
+    res.json(req.query.tree === "true" ? buildCategoryTree(categories) : categories);
+  } catch (err) {
+    console.error("Failed to fetch categories:", err);
+    res.status(500).json({ message: "Failed to fetch categories" });
+  }
+});
+
+// Single category by id or slug, with its direct subcategories
+app.get("/api/v1/categories/:idOrSlug", async (req, res) => {
+  try {
+    const category = await findCategory(req.params.idOrSlug);
+    if (!category) return res.status(404).json({ message: "Category not found" });
+
+    const children = await Category.find({ parent: category._id }).sort({ name: 1 });
+    res.json({ ...category.toObject(), children });
+  } catch (err) {
+    console.error("Failed to fetch category:", err);
+    res.status(500).json({ message: "Failed to fetch category" });
+  }
+});
+
+app.post("/api/v1/categories", requireAuth, requireAdmin, validate(categorySchema), async (req, res) => {
+  try {
+    const { name, image, slug, parent } = req.body;
+
+    if (parent) {
+      const parentError = await checkCategoryParent(parent);
+      if (parentError) return validationError(res, [{ path: "parent", message: parentError }]);
+    }
+    if (slug && (await Category.exists({ slug: slugify(slug) })))
+      return res.status(409).json({ message: "Slug already in use" });
+
+    const newCategory = new Category({
+      name,
+      image: image || null,
+      slug: slug ? slugify(slug) : await uniqueSlug(Category, name),
+      parent: parent || null,
+    });
+    await newCategory.save();
+
+    res.status(201).json({ success: true, message: "Category created", category: newCategory });
+  } catch (err) {
+    // The slug check above can lose a race against another create
+    if (err.code === 11000) return res.status(409).json({ message: "Slug already in use" });
+    console.error("Failed to add category:", err);
+    res.status(500).json({ message: "Failed to add category" });
+  }
+});
+
+app.patch("/api/v1/categories/:id", requireAuth, requireAdmin, validate(idParams, "params"), validate(categoryUpdateSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, image, slug, parent } = req.body;
+
+    const category = await Category.findById(id);
+    if (!category) return res.status(404).json({ message: "Category not found" });
+
+    if (parent !== undefined) {
+      if (parent) {
+        const parentError = await checkCategoryParent(parent, category._id);
+        if (parentError) return validationError(res, [{ path: "parent", message: parentError }]);
+      }
+      category.parent = parent || null;
+    }
+    if (slug) {
+      const newSlug = slugify(slug);
+      if (await Category.exists({ slug: newSlug, _id: { $ne: category._id } }))
+        return res.status(409).json({ message: "Slug already in use" });
+      category.slug = newSlug;
+    }
+    if (name) category.name = name;
+    if (!category.slug) category.slug = await uniqueSlug(Category, category.name, category._id);
+    if (image) category.image = image;
+
+    await category.save();
+
+    // Products keep a copy of the name/image for display; keep them in step
+    if (name || image) {
+      await Product.updateMany(
+        { categoryId: category._id },
+        { $set: { category: category.name, categoryImage: category.image } }
+      );
+    }
+
+    res.json({ success: true, message: "Category updated", category });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ message: "Slug already in use" });
+    console.error("Failed to update category:", err);
+    res.status(500).json({ message: "Failed to update category" });
+  }
+});
+
+// Delete is refused while products or subcategories still use the category
+app.delete("/api/v1/categories/:id", requireAuth, requireAdmin, validate(idParams, "params"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const category = await Category.findById(id);
+    if (!category) return res.status(404).json({ message: "Category not found" });
+
+    const [productCount, childCount] = await Promise.all([
+      Product.countDocuments({ categoryId: category._id }),
+      Category.countDocuments({ parent: category._id }),
+    ]);
+    if (productCount || childCount) {
+      return res.status(409).json({
+        message: "Category is still in use",
+        productCount,
+        childCount,
+      });
+    }
+
+    await category.deleteOne();
+    res.json({ success: true, message: "Category deleted" });
+  } catch (err) {
+    console.error("Failed to delete category:", err);
+    res.status(500).json({ message: "Failed to delete category" });
+  }
+});
+
+// One-off migration: links products that only carry a free-text `category`
+// to a Category document, creating missing categories on the way. Safe to re-run.
+app.post("/api/v1/admin/categories/migrate", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const names = await Product.distinct("category", { categoryId: null });
+    const report = [];
+
+    for (const name of names) {
+      if (!name) continue;
+      let category = await findCategory(name);
+      let created = false;
+      if (!category) {
+        const sample = await Product.findOne({ category: name, categoryImage: { $ne: null } }).select("categoryImage");
+        category = await Category.create({
+          name,
+          slug: await uniqueSlug(Category, name),
+          image: sample?.categoryImage || null,
+        });
+        created = true;
+      } else if (!category.slug) {
+        // Categories created before slugs existed
+        category.slug = await uniqueSlug(Category, category.name, category._id);
+        await category.save();
+      }
+
+      const result = await Product.updateMany(
+        { category: name, categoryId: null },
+        { $set: { categoryId: category._id, category: category.name, categoryImage: category.image } }
+      );
+      report.push({ name, categoryId: category._id, created, productsLinked: result.modifiedCount });
+    }
+
+    // Backfill slugs on categories that no product referenced
+    for (const category of await Category.find({ slug: { $in: [null, ""] } })) {
+      category.slug = await uniqueSlug(Category, category.name, category._id);
+      await category.save();
+    }
+
+    res.json({ success: true, message: "Category migration complete", report });
+  } catch (err) {
+    console.error("Category migration error:", err);
+    res.status(500).json({ success: false, message: "Category migration failed" });
+  }
+});
+
+// ---------------------------
+// Product Routes
+// ---------------------------
+// One purchasable version of a product, e.g. Storage 256GB / Colour Black
+const VariantSchema = new Schema({
+  sku: { type: String, required: true, trim: true },
+  attributes: { type: Map, of: String, default: {} }, // option name -> chosen value
+  retailPrice: { type: Number, required: true, min: 0 },
+  merchantPrice: { type: Number, required: true, min: 0 },
+  quantity: { type: Number, required: true, min: 0 },
+  images: [{ type: String }],
+});
+
+const ProductSchema = new Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    description: { type: String, required: true },
+    categoryId: { type: Schema.Types.ObjectId, ref: "Category", default: null },
+    category: { type: String, required: true }, // category name, kept in sync with categoryId
+    categoryImage: { type: String, default: null },
+    images: [{ type: String, required: true }],
+    retailPrice: { type: Number, required: true },
+    merchantPrice: { type: Number, required: true },
+    quantity: { type: Number, required: true, min: 0 },
+    stockStatus: { type: String, enum: ["in-stock", "out-of-stock"], default: "in-stock" },
+    merchantId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    sourceProductId: { type: Schema.Types.ObjectId, ref: "Product", default: null }, // set when stocked via a merchant request
+    sourceVariantId: { type: Schema.Types.ObjectId, default: null }, // ...of that variant of the source product
+    archivedAt: { type: Date, default: null }, // hidden from the catalogue, e.g. when the merchant is deleted
+    archivedReason: { type: String, default: null },
+    lowStockThreshold: { type: Number, min: 0, default: null }, // listed as low stock at or below this; null = not tracked
+    // Time-boxed sale: either a fixed price or a percentage off retailPrice (see currentUnitPrice)
+    sale: {
+      price: { type: Number, min: 0, default: null },
+      percentOff: { type: Number, min: 0, max: 100, default: null },
+      startsAt: { type: Date, default: null },
+      endsAt: { type: Date, default: null },
+    },
+    options: [
+      {
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        values: [{ type: String, trim: true }],
+      },
+    ],
+    variants: [VariantSchema],
+    // Aggregate of visible reviews, recomputed whenever one changes
+    rating: {
+      average: { type: Number, default: 0 },
+      count: { type: Number, default: 0 },
+    },
+  },
+  // A save() from a stale read (e.g. of the variants' stock) fails instead of overwriting
+  // changes made meanwhile; stockDeltaUpdate bumps the version for the same reason
+  { timestamps: true, optimisticConcurrency: true }
+);
+
+ProductSchema.index({ title: "text", description: "text" });
+ProductSchema.index({ categoryId: 1, createdAt: -1 });
+ProductSchema.index({ stockStatus: 1, createdAt: -1 });
+ProductSchema.index({ merchantId: 1, createdAt: -1 });
+ProductSchema.index({ retailPrice: 1, _id: 1 });
+ProductSchema.index({ createdAt: -1, _id: -1 });
+ProductSchema.index({ merchantId: 1, "variants.sku": 1 });
+
+// With variants, the product-level prices and stock summarise them (lowest prices,
+// total quantity) so catalogue filters, sorting and stockStatus keep working unchanged.
+// Atomic stock updates keep the same invariant (see stockDeltaUpdate).
+ProductSchema.pre("validate", function (next) {
+  if (this.variants.length) {
+    this.retailPrice = Math.min(...this.variants.map((v) => v.retailPrice));
+    this.merchantPrice = Math.min(...this.variants.map((v) => v.merchantPrice));
+    this.quantity = this.variants.reduce((sum, v) => sum + v.quantity, 0);
+    this.stockStatus = this.quantity > 0 ? "in-stock" : "out-of-stock";
+  }
+  next();
+});
+
+const Product = model("Product", ProductSchema);
+
+// ----------------- Variant Helpers -----------------
+// "256GB / Black"
+function variantLabel(variant) {
+  const attributes = variant.attributes;
+  return (attributes instanceof Map ? [...attributes.values()] : Object.values(attributes || {})).join(" / ");
+}
+
+// Checks variants against the product's options: every variant picks exactly one listed
+// value per option, no two variants share a combination or SKU.
+// Returns { path, message } or null.
+function checkVariants(options, variants) {
+  const seenCombos = new Set();
+  const seenSkus = new Set();
+  for (const [i, variant] of variants.entries()) {
+    const attributes = variant.attributes instanceof Map ? Object.fromEntries(variant.attributes) : variant.attributes || {};
+    const names = Object.keys(attributes);
+    if (names.length !== options.length || options.some((o) => !names.includes(o.name)))
+      return { path: `variants.${i}.attributes`, message: `Pick one value for each option: ${options.map((o) => o.name).join(", ")}` };
+    for (const option of options) {
+      if (!option.values.includes(attributes[option.name]))
+        return { path: `variants.${i}.attributes.${option.name}`, message: `Unknown ${option.name} "${attributes[option.name]}"` };
+    }
+
+    const combo = options.map((o) => attributes[o.name]).join("\u0000");
+    if (seenCombos.has(combo)) return { path: `variants.${i}.attributes`, message: "Duplicate variant" };
+    seenCombos.add(combo);
+
+    const sku = variant.sku.toLowerCase();
+    if (seenSkus.has(sku)) return { path: `variants.${i}.sku`, message: "Duplicate SKU" };
+    seenSkus.add(sku);
+  }
+  return null;
+}
+
+// A SKU may only be used once across a merchant's catalogue
+async function skuTaken(merchantId, sku, excludeProductId = null) {
+  const filter = { merchantId, "variants.sku": sku };
+  if (excludeProductId) filter._id = { $ne: excludeProductId };
+  return !!(await Product.exists(filter));
+}
+
+// ----------------- Stock Ledger -----------------
+// Append-only record of every stock change. Summing `delta` per product gives
+// its quantity; products created before the ledger start with an "opening" row.
+// "reversal" undoes a logged movement whose operation failed part-way
+const STOCK_REASONS = ["opening", "initial", "manual", "sale", "cancellation", "transfer-in", "transfer-out", "reversal"];
+
+const StockMovementSchema = new Schema(
+  {
+    productId: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    variantId: { type: Schema.Types.ObjectId, default: null },
+    merchantId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    delta: { type: Number, required: true },
+    quantityAfter: { type: Number, default: null }, // product quantity right after this change
+    reason: { type: String, enum: STOCK_REASONS, required: true },
+    by: { type: Schema.Types.ObjectId, ref: "User", default: null }, // null for system changes
+    orderId: { type: Schema.Types.ObjectId, ref: "Order", default: null },
+    requestId: { type: Schema.Types.ObjectId, ref: "RequestList", default: null },
+    note: { type: String, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+StockMovementSchema.index({ productId: 1, createdAt: -1 });
+StockMovementSchema.index({ merchantId: 1, createdAt: -1 });
+
+// Rows are never edited or removed once written
+StockMovementSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"], function () {
+  throw new Error("Stock ledger is append-only");
+});
+
+const StockMovement = model("StockMovement", StockMovementSchema);
+
+// Appends ledger rows for `changes` ([{ product, delta, variantId? }], product holding merchantId
+// and its quantity after the change). Zero deltas are skipped. Errors are thrown: the stock has
+// already moved, so callers undo their change (or report the failure) rather than let the ledger drift.
+async function recordStockMovements(changes, { reason, by = null, orderId = null, requestId = null, note = null }) {
+  const rows = changes
+    .filter((c) => c.delta !== 0)
+    .map((c) => ({
+      productId: c.product._id,
+      variantId: c.variantId || null,
+      merchantId: c.product.merchantId,
+      delta: c.delta,
+      quantityAfter: c.variantId ? c.product.variants.id(c.variantId)?.quantity ?? null : c.product.quantity,
+      reason,
+      by,
+      orderId,
+      requestId,
+      note,
+    }));
+  if (!rows.length) return;
+  await StockMovement.insertMany(rows);
+}
+
+// ----------------- Catalogue Query Helpers -----------------
+const PRODUCT_SORTS = {
+  newest: { field: "createdAt", dir: -1 },
+  oldest: { field: "createdAt", dir: 1 },
+  price_asc: { field: "retailPrice", dir: 1 },
+  price_desc: { field: "retailPrice", dir: -1 },
+};
+
+// Cursors are opaque base64url tokens holding the last row's sort value and _id
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify({ v: value instanceof Date ? value.toISOString() : value, id: id.toString() })).toString("base64url");
+
+function decodeCursor(cursor, field) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!mongoose.isValidObjectId(id)) return null;
+    return { value: field === "createdAt" ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+}
+
+// Turns catalogue query params (already parsed by productListQuery) into a Mongo filter/sort.
+// `categoryIds` is the resolved category filter (the category and its subcategories).
+// Returns { error } when the cursor cannot be decoded.
+function buildProductQuery(query, categoryIds = null) {
+  const filter = { archivedAt: null };
+  if (query.q) filter.$text = { $search: query.q };
+  if (categoryIds) filter.categoryId = { $in: categoryIds };
+  if (query.stockStatus) filter.stockStatus = query.stockStatus;
+  if (query.merchantId) filter.merchantId = query.merchantId;
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    filter.retailPrice = {};
+    if (query.minPrice !== undefined) filter.retailPrice.$gte = query.minPrice;
+    if (query.maxPrice !== undefined) filter.retailPrice.$lte = query.maxPrice;
+  }
+
+  const sortSpec = PRODUCT_SORTS[query.sort];
+  const { limit } = query;
+
+  const countFilter = { ...filter };
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sortSpec.field);
+    if (!cursor) return { error: { path: "cursor", message: "Invalid cursor" } };
+    const op = sortSpec.dir === 1 ? "$gt" : "$lt";
+    filter.$or = [
+      { [sortSpec.field]: { [op]: cursor.value } },
+      { [sortSpec.field]: cursor.value, _id: { [op]: cursor.id } },
+    ];
+  }
+
+  return {
+    filter,
+    countFilter,
+    sort: { [sortSpec.field]: sortSpec.dir, _id: sortSpec.dir },
+    sortField: sortSpec.field,
+    limit,
+  };
+}
+
+// Runs a catalogue query and returns one page plus the cursor for the next one
+async function findProductPage(query) {
+  let categoryIds = null;
+  if (query.category) {
+    const category = await findCategory(query.category);
+    categoryIds = category ? await categoryWithDescendants(category._id) : [];
+  }
+
+  const built = buildProductQuery(query, categoryIds);
+  if (built.error) return built;
+
+  const [rows, total] = await Promise.all([
+    Product.find(built.filter).sort(built.sort).limit(built.limit + 1),
+    Product.countDocuments(built.countFilter),
+  ]);
+  const hasMore = rows.length > built.limit;
+  const data = hasMore ? rows.slice(0, built.limit) : rows;
+  const last = data[data.length - 1];
+
+  return {
+    data,
+    total,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(last[built.sortField], last._id) : null,
+  };
+}
+
+// ----------------- Response Shaping -----------------
+
+// Wholesale prices are for approved merchants and admins only
+const canSeeWholesale = (user) =>
+  !!user && (user.role === "admin" || (user.role === "merchant" && user.status === "active"));
+
+const saleIsLive = (sale, now = new Date()) =>
+  !!sale?.endsAt && (!sale.startsAt || sale.startsAt <= now) && sale.endsAt > now;
+
+// What a customer pays per unit right now: retailPrice (the variant's, if given),
+// or the sale price while a sale is running
+function currentUnitPrice(product, variant = null, now = new Date()) {
+  const listPrice = (variant || product).retailPrice;
+  const sale = product.sale;
+  if (!saleIsLive(sale, now)) return listPrice;
+  if (sale.percentOff) return Math.round(listPrice * (100 - sale.percentOff)) / 100;
+  return variant ? listPrice : Math.min(sale.price, listPrice);
+}
+
+// Product as `viewer` may see it (viewer may be undefined for anonymous requests)
+function shapeProduct(product, viewer) {
+  const obj = typeof product.toObject === "function" ? product.toObject({ flattenMaps: true }) : { ...product };
+  obj.onSale = saleIsLive(obj.sale);
+  obj.currentPrice = currentUnitPrice(obj);
+  obj.variants = (obj.variants || []).map((variant) => ({ ...variant, currentPrice: currentUnitPrice(obj, variant) }));
+  if (!canSeeWholesale(viewer)) {
+    delete obj.merchantPrice;
+    obj.variants = (obj.variants || []).map(({ merchantPrice, ...variant }) => variant);
+  }
+  return obj;
+}
+
+// Merchant card embedded on product pages, honouring the merchant's contactVisibility
+function shapeMerchantContact(merchant, viewer) {
+  if (!merchant) return null;
+  const obj = typeof merchant.toObject === "function" ? merchant.toObject() : { ...merchant };
+  const isSelf = viewer && viewer._id.toString() === obj._id.toString();
+  const visible = (setting = "merchants") =>
+    isSelf || viewer?.role === "admin" || setting === "public" || (setting === "merchants" && canSeeWholesale(viewer));
+
+  if (!visible(obj.contactVisibility?.email)) delete obj.email;
+  if (!visible(obj.contactVisibility?.phone)) delete obj.phone;
+  delete obj.contactVisibility;
+  return obj;
+}
+
+// Create Product
+app.post("/api/v1/products", requireAuth, requireMerchant, validate(productSchema), async (req, res) => {
+  try {
+    const { title, description, categoryId, category, images, retailPrice, merchantPrice, quantity, lowStockThreshold, options, variants } =
+      req.body;
+    const stockStatus = quantity > 0 ? "in-stock" : "out-of-stock";
+
+    const categoryDoc = await findCategory(categoryId || category);
+    if (!categoryDoc) return validationError(res, [{ path: "categoryId", message: "Unknown category" }]);
+
+    const variantProblem = checkVariants(options, variants);
+    if (variantProblem) return validationError(res, [variantProblem]);
+    for (const variant of variants) {
+      if (await skuTaken(req.user._id, variant.sku))
+        return res.status(409).json({ success: false, message: `SKU ${variant.sku} is already used` });
+    }
+
+    const newProduct = new Product({
+      title,
+      description,
+      categoryId: categoryDoc._id,
+      category: categoryDoc.name,
+      categoryImage: categoryDoc.image,
+      images,
+      retailPrice,
+      merchantPrice,
+      quantity,
+      stockStatus,
+      lowStockThreshold: lowStockThreshold ?? null,
+      options,
+      variants, // when present, prices and stock are derived from them on save
+      merchantId: req.user._id,
+    });
+    await newProduct.save();
+    try {
+      await recordStockMovements(
+        newProduct.variants.length
+          ? newProduct.variants.map((v) => ({ product: newProduct, delta: v.quantity, variantId: v._id }))
+          : [{ product: newProduct, delta: quantity }],
+        { reason: "initial", by: req.user._id }
+      );
+    } catch (err) {
+      // A product without its opening stock row would never reconcile
+      await Product.deleteOne({ _id: newProduct._id });
+      throw err;
+    }
+
+    res.status(201).json({ success: true, message: "Product added successfully", product: newProduct });
+  } catch (err) {
+    console.error("❌ Add Product Error:", err);
+    res.status(500).json({ success: false, message: "Failed to add product", error: err.message });
+  }
+});
+
+// Get Products (All) - same query params as the public catalogue
+app.get("/api/v1/products", requireAuth, validate(productListQuery, "query"), async (req, res) => {
+  try {
+    const page = await findProductPage(req.query);
+    if (page.error) return validationError(res, [page.error]);
+    res.json({ success: true, ...page, data: page.data.map((p) => shapeProduct(p, req.user)) });
+  } catch (err) {
+    console.error("Error fetching products:", err);
+    res.status(500).json({ message: "Server Error" });
+  }
+});
+
+// Get Merchant by ID - kept for older clients; same payload as GET /api/v1/shops/:shop
+app.get('/api/v1/getUser/:id', optionalAuth, validate(idParams, "params"), async (req, res) => {
+  try {
+    const merchant = await findShop(req.params.id);
     if (!merchant) return res.status(404).json({ message: 'Merchant not found' });
-    res.json(merchant);
+    res.json(await shopProfile(merchant, req.user));
+  } catch (err) {
+    console.error('Error fetching merchant:', err);
+    res.status(500).json({ message: 'Server Error' });
+  }
+})
+
+// Public Products - search, filter, sort and cursor pagination
+app.get("/api/v1/products/public", optionalAuth, validate(productListQuery, "query"), async (req, res) => {
+  try {
+    const page = await findProductPage(req.query);
+    if (page.error) return validationError(res, [page.error]);
+    res.json({ success: true, ...page, data: page.data.map((p) => shapeProduct(p, req.user)) });
+  } catch (err) {
+    console.error("Error fetching public products:", err);
+    res.status(500).json({ message: "Failed to fetch products" });
+  }
+});
+
+app.get("/api/v1/products/:id", optionalAuth, validate(idParams, "params"), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    const isOwnerOrAdmin =
+      req.user && (req.user.role === "admin" || product?.merchantId.toString() === req.user._id.toString());
+    if (!product || (product.archivedAt && !isOwnerOrAdmin))
+      return res.status(404).json({ message: "Product not found" });
+
+    // Fetch merchant manually
+    const merchant = await User.findById(product.merchantId).select(
+      "name email phone photoURL shopDetails role status contactVisibility"
+    );
+
+    // Create new object with addedByMerchant
+    const productWithMerchant = {
+      ...shapeProduct(product, req.user),
+      addedByMerchant: shapeMerchantContact(merchant, req.user), // null if not found
+    };
+
+    res.json(productWithMerchant);
+  } catch (err) {
+    console.error("Error fetching product:", err);
+    res.status(500).json({ message: "Failed to fetch product" });
+  }
+});
+
+
+
+// Update Stock
+app.patch("/api/v1/products/:id/update-stock", requireAuth, requireMerchant, validate(idParams, "params"), validate(stockUpdateSchema), async (req, res) => {
+  try {
+    const { quantity, variantId } = req.body;
+    const product = await Product.findById(req.params.id);
+    if (!product) 
+      return res.status(404).json({ success: false, message: "Product not found" });
+
+    if (product.merchantId.toString() !== req.user._id.toString())
+      return res.status(403).json({ success: false, message: "Not authorized" });
+
+    if (product.variants.length && !variantId)
+      return validationError(res, [{ path: "variantId", message: "Choose a variant" }]);
+    const variant = variantId ? product.variants.id(variantId) : null;
+    if (variantId && !variant) return res.status(404).json({ success: false, message: "Variant not found" });
+
+    // Update quantity and stockStatus (for a variant, the product totals follow on save)
+    const wasOut = product.quantity <= 0;
+    const target = variant || product;
+    const previous = target.quantity;
+    target.quantity = quantity;
+    if (!variant) product.stockStatus = quantity > 0 ? "in-stock" : "out-of-stock";
+
+    await product.save();
+    await recordStockMovements([{ product, delta: quantity - previous, variantId: variant?._id }], {
+      reason: "manual",
+      by: req.user._id,
+      note: req.body.note,
+    });
+    if (wasOut && product.quantity > 0) await notifyBackInStock(product._id);
+
+    res.json({ success: true, message: "Stock updated", product });
+  } catch (err) {
+    if (err.name === "VersionError")
+      return res.status(409).json({ success: false, message: "Product was modified concurrently, please retry" });
+    console.error("Update stock error:", err);
+    res.status(500).json({ success: false, message: "Server Error" });
+  }
+});
+
+
+
+// ----------------- Stock Out -----------------
+app.patch(
+  "/api/v1/products/:id/stock-out",
+  requireAuth,
+  requireMerchant,
+  validate(idParams, "params"),
+  validate(stockOutSchema),
+  async (req, res) => {
+    try {
+      const product = await Product.findById(req.params.id);
+      if (!product)
+        return res
+          .status(404)
+          .json({ success: false, message: "Product not found" });
+
+      if (product.merchantId.toString() !== req.user._id.toString())
+        return res
+          .status(403)
+          .json({ success: false, message: "Not authorized" });
+
+      const { variantId } = req.body;
+      if (variantId && !product.variants.id(variantId))
+        return res.status(404).json({ success: false, message: "Variant not found" });
+
+      // A single variant, every variant, or the product itself
+      const targets = variantId ? [product.variants.id(variantId)] : product.variants.length ? product.variants : [product];
+      const changes = targets.map((target) => ({
+        product,
+        delta: -target.quantity,
+        variantId: target === product ? null : target._id,
+      }));
+      for (const target of targets) target.quantity = 0;
+      if (!product.variants.length) product.stockStatus = "out-of-stock";
+      await product.save();
+      await recordStockMovements(changes, { reason: "manual", by: req.user._id, note: req.body.note });
+
+      res.json({
+        success: true,
+        message: variantId ? "Variant marked as out of stock" : "Product marked as out of stock",
+        product,
+      });
+    } catch (err) {
+      if (err.name === "VersionError")
+        return res.status(409).json({ success: false, message: "Product was modified concurrently, please retry" });
+      console.error(err);
+      res.status(500).json({ success: false, message: "Server Error" });
+    }
+  }
+);
+
+// ----------------- Request Other Merchant Product -----------------
+app.post(
+  "/api/v1/products/:id/request",
+  requireAuth,
+  requireMerchant,
+  validate(idParams, "params"),
+  validate(productRequestSchema),
+  (req, res) => createProductRequest(req, res, req.params.id)
+);
+
+// ----------------- Edit Product (Merchant or Admin) -----------------
+app.patch("/api/v1/products/:id/edit", requireAuth, validate(idParams, "params"), validate(productEditSchema), async (req, res) => {
+  try {
+    const { title, images, categoryId, category, retailPrice, merchantPrice, quantity, lowStockThreshold, options } =
+      req.body;
+
+    const product = await Product.findById(req.params.id);
+    if (!product)
+      return res
+        .status(404)
+        .json({ success: false, message: "Product not found" });
+
+    // Only allow merchant owner or admin
+    if (
+      product.merchantId.toString() !== req.user._id.toString() &&
+      req.user.role !== "admin"
+    ) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Not authorized" });
+    }
+
+    // With variants, prices and stock belong to the variants
+    if (product.variants.length && (retailPrice !== undefined || merchantPrice !== undefined || quantity !== undefined))
+      return validationError(res, [{ path: "variants", message: "Set prices and stock on the product's variants" }]);
+    if (options) {
+      const problem = checkVariants(options, product.variants);
+      if (problem) return validationError(res, [{ ...problem, message: `Options no longer fit the variants: ${problem.message}` }]);
+      product.options = options;
+    }
+
+    if (title) product.title = title;
+    if (images) product.images = images;
+    if (categoryId || category) {
+      const categoryDoc = await findCategory(categoryId || category);
+      if (!categoryDoc) return validationError(res, [{ path: "categoryId", message: "Unknown category" }]);
+      product.categoryId = categoryDoc._id;
+      product.category = categoryDoc.name;
+      product.categoryImage = categoryDoc.image;
+    }
+    if (retailPrice) product.retailPrice = retailPrice;
+    if (merchantPrice) product.merchantPrice = merchantPrice;
+    if (lowStockThreshold !== undefined) product.lowStockThreshold = lowStockThreshold;
+    const previous = product.quantity;
+    const wasOut = previous <= 0;
+    if (quantity !== undefined) {
+      product.quantity = quantity;
+      product.stockStatus = quantity > 0 ? "in-stock" : "out-of-stock";
+    }
+
+    await product.save();
+    await recordStockMovements([{ product, delta: product.quantity - previous }], { reason: "manual", by: req.user._id });
+    if (wasOut && product.quantity > 0) await notifyBackInStock(product._id);
+
+    res.json({ success: true, message: "Product updated successfully", product });
+  } catch (err) {
+    if (err.name === "VersionError")
+      return res.status(409).json({ success: false, message: "Product was modified concurrently, please retry" });
+    console.error(err);
+    res.status(500).json({ success: false, message: "Server Error" });
+  }
+});
+
+// ----------------- Variants (Merchant or Admin) -----------------
+// Loads a product the current user may manage; responds and returns null otherwise
+async function findManagedProduct(req, res) {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    res.status(404).json({ success: false, message: "Product not found" });
+    return null;
+  }
+  if (product.merchantId.toString() !== req.user._id.toString() && req.user.role !== "admin") {
+    res.status(403).json({ success: false, message: "Not authorized" });
+    return null;
+  }
+  return product;
+}
+
+// Add a variant. The first variant turns a simple product into a variant product:
+// its own stock is written off in the ledger and the variants' stock takes over.
+app.post("/api/v1/products/:id/variants", requireAuth, validate(idParams, "params"), validate(variantSchema), async (req, res) => {
+  try {
+    const product = await findManagedProduct(req, res);
+    if (!product) return;
+    if (!product.options.length)
+      return validationError(res, [{ path: "options", message: "Add options to the product before adding variants" }]);
+
+    const problem = checkVariants(product.options, [...product.variants, req.body]);
+    if (problem) return validationError(res, [problem]);
+    if (await skuTaken(product.merchantId, req.body.sku))
+      return res.status(409).json({ success: false, message: `SKU ${req.body.sku} is already used` });
+
+    const wasOut = product.quantity <= 0;
+    const writtenOff = product.variants.length ? 0 : product.quantity;
+    product.variants.push(req.body);
+    await product.save();
+
+    const variant = product.variants[product.variants.length - 1];
+    const by = req.user._id;
+    await recordStockMovements([{ product, delta: -writtenOff }], { reason: "manual", by, note: "Stock moved to variants" });
+    await recordStockMovements([{ product, delta: variant.quantity, variantId: variant._id }], { reason: "initial", by });
+    if (wasOut && product.quantity > 0) await notifyBackInStock(product._id);
+
+    res.status(201).json({ success: true, message: "Variant added", product, variant });
+  } catch (err) {
+    if (err.name === "VersionError")
+      return res.status(409).json({ success: false, message: "Product was modified concurrently, please retry" });
+    console.error("Add variant error:", err);
+    res.status(500).json({ success: false, message: "Server Error" });
+  }
+});
+
+// Edit a variant's SKU, attributes, prices or images (stock goes through update-stock)
+app.patch("/api/v1/products/:id/variants/:variantId", requireAuth, validate(variantParams, "params"), validate(variantUpdateSchema), async (req, res) => {
+  try {
+    const product = await findManagedProduct(req, res);
+    if (!product) return;
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) return res.status(404).json({ success: false, message: "Variant not found" });
+
+    const { sku, attributes, retailPrice, merchantPrice, images } = req.body;
+    if (sku && sku !== variant.sku && (await skuTaken(product.merchantId, sku)))
+      return res.status(409).json({ success: false, message: `SKU ${sku} is already used` });
+
+    if (sku) variant.sku = sku;
+    if (attributes) variant.attributes = attributes;
+    if (retailPrice !== undefined) variant.retailPrice = retailPrice;
+    if (merchantPrice !== undefined) variant.merchantPrice = merchantPrice;
+    if (images) variant.images = images;
+
+    const problem = checkVariants(product.options, product.variants);
+    if (problem) return validationError(res, [problem]);
+
+    await product.save();
+    res.json({ success: true, message: "Variant updated", product, variant });
+  } catch (err) {
+    if (err.name === "VersionError")
+      return res.status(409).json({ success: false, message: "Product was modified concurrently, please retry" });
+    console.error("Update variant error:", err);
+    res.status(500).json({ success: false, message: "Server Error" });
+  }
+});
+
+// Remove a variant; its remaining stock is written off in the ledger
+app.delete("/api/v1/products/:id/variants/:variantId", requireAuth, validate(variantParams, "params"), async (req, res) => {
+  try {
+    const product = await findManagedProduct(req, res);
+    if (!product) return;
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) return res.status(404).json({ success: false, message: "Variant not found" });
+
+    const change = { product, delta: -variant.quantity, variantId: variant._id };
+    variant.deleteOne();
+    if (!product.variants.length) {
+      // Back to a simple product with nothing on the shelf
+      product.quantity = 0;
+      product.stockStatus = "out-of-stock";
+    }
+    await product.save();
+    await recordStockMovements([change], { reason: "manual", by: req.user._id, note: "Variant removed" });
+
+    res.json({ success: true, message: "Variant removed", product });
+  } catch (err) {
+    if (err.name === "VersionError")
+      return res.status(409).json({ success: false, message: "Product was modified concurrently, please retry" });
+    console.error("Remove variant error:", err);
+    res.status(500).json({ success: false, message: "Server Error" });
+  }
+});
+
+// ----------------- Sale Price (Merchant or Admin) -----------------
+app.patch("/api/v1/products/:id/sale", requireAuth, validate(idParams, "params"), validate(saleSchema), async (req, res) => {
+  try {
+    const product = await findManagedProduct(req, res);
+    if (!product) return;
+
+    const { price: salePrice, percentOff, startsAt, endsAt } = req.body;
+    if (salePrice !== undefined && product.variants.length)
+      return validationError(res, [{ path: "percentOff", message: "Products with variants take a percentOff sale" }]);
+    if (salePrice !== undefined && salePrice >= product.retailPrice)
+      return validationError(res, [{ path: "price", message: "Sale price must be below retailPrice" }]);
+
+    product.sale = { price: salePrice ?? null, percentOff: percentOff ?? null, startsAt: startsAt || new Date(), endsAt };
+    await product.save();
+
+    res.json({ success: true, message: "Sale scheduled", product: shapeProduct(product, req.user) });
+  } catch (err) {
+    if (err.name === "VersionError")
+      return res.status(409).json({ success: false, message: "Product was modified concurrently, please retry" });
+    console.error("Set sale error:", err);
+    res.status(500).json({ success: false, message: "Server Error" });
+  }
+});
+
+app.delete("/api/v1/products/:id/sale", requireAuth, validate(idParams, "params"), async (req, res) => {
+  try {
+    const product = await findManagedProduct(req, res);
+    if (!product) return;
+
+    product.sale = { price: null, percentOff: null, startsAt: null, endsAt: null };
+    await product.save();
+
+    res.json({ success: true, message: "Sale ended", product: shapeProduct(product, req.user) });
+  } catch (err) {
+    if (err.name === "VersionError")
+      return res.status(409).json({ success: false, message: "Product was modified concurrently, please retry" });
+    console.error("End sale error:", err);
+    res.status(500).json({ success: false, message: "Server Error" });
+  }
+});
+
+// ----------------- Delete Product (Merchant or Admin) -----------------
+app.delete("/api/v1/products/:id", requireAuth, validate(idParams, "params"), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product)
+      return res
+        .status(404)
+        .json({ success: false, message: "Product not found" });
+
+    // Only allow merchant owner or admin
+    if (
+      product.merchantId.toString() !== req.user._id.toString() &&
+      req.user.role !== "admin"
+    ) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Not authorized" });
+    }
+
+    await product.deleteOne();
+    res.json({ success: true, message: "Product deleted successfully" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Server Error" });
+  }
+});
+
+// ----------------- Stock Ledger & Low Stock -----------------
+// Stock movements of one product (owner or admin), newest first, with a reconciliation
+// of the ledger balance against the current quantity
+app.get(
+  "/api/v1/products/:id/stock-ledger",
+  requireAuth,
+  validate(idParams, "params"),
+  validate(stockLedgerQuery, "query"),
+  async (req, res) => {
+    try {
+      const product = await Product.findById(req.params.id).select("title quantity merchantId");
+      if (!product) return res.status(404).json({ success: false, message: "Product not found" });
+      if (product.merchantId.toString() !== req.user._id.toString() && req.user.role !== "admin")
+        return res.status(403).json({ success: false, message: "Not authorized" });
+
+      const { page, limit } = req.query;
+      const [data, total, [balance]] = await Promise.all([
+        StockMovement.find({ productId: product._id })
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("by", "name email"),
+        StockMovement.countDocuments({ productId: product._id }),
+        StockMovement.aggregate([{ $match: { productId: product._id } }, { $group: { _id: null, sum: { $sum: "$delta" } } }]),
+      ]);
+      const ledgerBalance = balance?.sum || 0;
+
+      res.json({
+        success: true,
+        reconciliation: {
+          quantity: product.quantity,
+          ledgerBalance,
+          difference: product.quantity - ledgerBalance,
+          inSync: product.quantity === ledgerBalance,
+        },
+        data,
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      });
+    } catch (err) {
+      console.error("Stock ledger error:", err);
+      res.status(500).json({ success: false, message: "Server Error" });
+    }
+  }
+);
+
+// My products at or below their low-stock threshold, emptiest first. For products with
+// variants the threshold applies to each variant, listed under `lowVariants`.
+app.get("/api/v1/merchant/products/low-stock", requireAuth, validate(lowStockQuery, "query"), async (req, res) => {
+  try {
+    if (req.user.role !== "merchant" && req.user.role !== "admin")
+      return res.status(403).json({ success: false, message: "Only merchants allowed" });
+    if (req.user.role === "merchant" && req.user.status !== "active")
+      return res.status(403).json({ success: false, message: "Merchant account not approved yet" });
+    const merchantId = req.user.role === "admin" && req.query.merchantId ? req.query.merchantId : req.user._id;
+
+    const products = await Product.find({
+      merchantId,
+      archivedAt: null,
+      lowStockThreshold: { $ne: null },
+      $expr: {
+        $or: [
+          { $lte: ["$quantity", "$lowStockThreshold"] },
+          {
+            $anyElementTrue: [
+              { $map: { input: { $ifNull: ["$variants", []] }, as: "v", in: { $lte: ["$$v.quantity", "$lowStockThreshold"] } } },
+            ],
+          },
+        ],
+      },
+    });
+
+    const data = products
+      .map((product) => {
+        const lowVariants = product.variants
+          .filter((v) => v.quantity <= product.lowStockThreshold)
+          .map((v) => ({ _id: v._id, sku: v.sku, label: variantLabel(v), quantity: v.quantity }))
+          .sort((a, b) => a.quantity - b.quantity);
+        return { ...product.toObject({ flattenMaps: true }), lowVariants };
+      })
+      .sort((a, b) => {
+        const lowest = (p) => (p.lowVariants.length ? p.lowVariants[0].quantity : p.quantity);
+        return lowest(a) - lowest(b) || a.title.localeCompare(b.title);
+      });
+
+    res.json({ success: true, count: data.length, data });
+  } catch (err) {
+    console.error("Low stock error:", err);
+    res.status(500).json({ success: false, message: "Server Error" });
+  }
+});
+
+// One-off migration: gives every product created before the ledger (no "opening" or
+// "initial" row) an opening balance. Movements already logged since the deploy are
+// netted off, per variant where there are variants, so the ledger sums to today's
+// quantity. Safe to re-run.
+app.post("/api/v1/admin/stock-ledger/migrate", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const opened = await StockMovement.distinct("productId", { reason: { $in: ["opening", "initial"] } });
+    const products = await Product.find({ _id: { $nin: opened } }).select("merchantId quantity variants");
+
+    const sums = await StockMovement.aggregate([
+      { $match: { productId: { $in: products.map((p) => p._id) } } },
+      { $group: { _id: { productId: "$productId", variantId: "$variantId" }, sum: { $sum: "$delta" } } },
+    ]);
+    const logged = new Map(sums.map((row) => [`${row._id.productId}:${row._id.variantId || ""}`, row.sum]));
+    const loggedFor = (product, variantId = null) => logged.get(`${product._id}:${variantId || ""}`) || 0;
+    const productTotals = new Map();
+    for (const row of sums) {
+      const key = row._id.productId.toString();
+      productTotals.set(key, (productTotals.get(key) || 0) + row.sum);
+    }
+
+    const changes = [];
+    for (const product of products) {
+      let opening = 0;
+      for (const variant of product.variants) {
+        const delta = variant.quantity - loggedFor(product, variant._id);
+        changes.push({ product, variantId: variant._id, delta });
+        opening += delta;
+      }
+      // Product-level remainder: the whole balance without variants, otherwise whatever
+      // product-level rows (logged before variants were added) left unbalanced
+      const allLogged = productTotals.get(product._id.toString()) || 0;
+      changes.push({ product, delta: product.quantity - allLogged - opening });
+    }
+
+    await recordStockMovements(changes, { reason: "opening", note: "Balance before the stock ledger" });
+
+    res.json({ success: true, message: "Stock ledger migration complete", productsOpened: products.length });
+  } catch (err) {
+    console.error("Stock ledger migration error:", err);
+    res.status(500).json({ success: false, message: "Stock ledger migration failed" });
+  }
+});
+
+// =============================== Storefront ==================================
+
+// Active, non-deleted merchant by shop slug or user id; anyone else is not a shop
+async function findShop(ref) {
+  const match = isObjectIdString(ref) ? { $or: [{ _id: ref }, { "shopDetails.slug": ref }] } : { "shopDetails.slug": ref };
+  return User.findOne({ ...match, role: "merchant", status: "active", deletedAt: null });
+}
+
+// Public shop card plus catalogue stats
+async function shopProfile(merchant, viewer) {
+  const [stats] = await Product.aggregate([
+    { $match: { merchantId: merchant._id, archivedAt: null } },
+    {
+      $group: {
+        _id: null,
+        productCount: { $sum: 1 },
+        inStockCount: { $sum: { $cond: [{ $eq: ["$stockStatus", "in-stock"] }, 1, 0] } },
+      },
+    },
+  ]);
+  const contact = shapeMerchantContact(merchant, viewer);
+
+  return {
+    _id: merchant._id,
+    slug: merchant.shopDetails?.slug || null,
+    shopName: merchant.shopDetails?.shopName || merchant.name,
+    shopAddress: merchant.shopDetails?.shopAddress || null,
+    logo: merchant.shopDetails?.logo || merchant.photoURL || null,
+    owner: merchant.name,
+    district: merchant.district || null,
+    upazila: merchant.upazila || null,
+    email: contact.email,
+    phone: contact.phone,
+    memberSince: merchant.createdAt,
+    stats: {
+      productCount: stats?.productCount || 0,
+      inStockCount: stats?.inStockCount || 0,
+      rating: await merchantRating(merchant._id),
+    },
+  };
+}
+
+// ----------------- Shop Profile -----------------
+app.get("/api/v1/shops/:shop", optionalAuth, validate(shopParams, "params"), async (req, res) => {
+  try {
+    const merchant = await findShop(req.params.shop);
+    if (!merchant) return res.status(404).json({ message: "Shop not found" });
+    res.json({ success: true, shop: await shopProfile(merchant, req.user) });
+  } catch (err) {
+    console.error("Error fetching shop:", err);
+    res.status(500).json({ message: "Failed to fetch shop" });
+  }
+});
+
+// ----------------- Shop Catalogue -----------------
+// In-stock products only; accepts the catalogue's q/category/price/sort/cursor params
+app.get(
+  "/api/v1/shops/:shop/products",
+  optionalAuth,
+  validate(shopParams, "params"),
+  validate(productListQuery, "query"),
+  async (req, res) => {
+    try {
+      const merchant = await findShop(req.params.shop);
+      if (!merchant) return res.status(404).json({ message: "Shop not found" });
+
+      const page = await findProductPage({ ...req.query, merchantId: merchant._id, stockStatus: "in-stock" });
+      if (page.error) return validationError(res, [page.error]);
+      res.json({ success: true, ...page, data: page.data.map((p) => shapeProduct(p, req.user)) });
+    } catch (err) {
+      console.error("Error fetching shop products:", err);
+      res.status(500).json({ message: "Failed to fetch products" });
+    }
+  }
+);
+
+// One-off migration: gives merchants approved before storefronts a shop slug. Safe to re-run.
+app.post("/api/v1/admin/shops/migrate", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const merchants = await User.find({ role: "merchant", "shopDetails.slug": { $in: [null, ""] } });
+    const report = [];
+    for (const merchant of merchants) {
+      if (!merchant.shopDetails) merchant.shopDetails = {};
+      merchant.shopDetails.slug = await uniqueSlug(User, merchant.shopDetails.shopName || merchant.name, merchant._id, "shopDetails.slug");
+      await merchant.save({ validateModifiedOnly: true });
+      report.push({ _id: merchant._id, slug: merchant.shopDetails.slug });
+    }
+    res.json({ success: true, message: "Shop migration complete", report });
+  } catch (err) {
+    console.error("Shop migration error:", err);
+    res.status(500).json({ success: false, message: "Shop migration failed" });
+  }
+});
+
+// =============================== Blog ==================================
+
+// ----------------- Blog Schema + Model -----------------
+const blogSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true },
+    // sparse so posts created before slugs existed don't collide
+    slug: { type: String, unique: true, sparse: true, lowercase: true, trim: true },
+    thumbnail: { type: String },
+    content: { type: String, required: true },
+    authorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    author: { type: String }, // display name copied from the author's profile
+    authorPhoto: { type: String },
+    status: { type: String, enum: ["draft", "published"], default: "draft" },
+    publishedAt: { type: Date, default: null },
+    category: { type: String },
+  },
+  { timestamps: true }
+);
+
+blogSchema.index({ status: 1, publishedAt: -1 });
+blogSchema.index({ status: 1, category: 1, publishedAt: -1 });
+blogSchema.index({ authorId: 1, createdAt: -1 });
+
+const Blog = mongoose.model("Blog", blogSchema);
+
+// Admins manage every post; authors only their own
+const canManageBlog = (blog, user) =>
+  !!user && (user.role === "admin" || (!!user.blogAuthor && blog.authorId?.toString() === user._id.toString()));
+
+const findBlog = (idOrSlug) =>
+  isObjectIdString(idOrSlug)
+    ? Blog.findById(idOrSlug)
+    : Blog.findOne({ slug: String(idOrSlug).toLowerCase() });
+
+// Loads a post the current user may manage; responds and returns null otherwise
+async function findManagedBlog(req, res) {
+  const blog = await Blog.findById(req.params.id);
+  if (!blog) {
+    res.status(404).json({ message: "Blog not found" });
+    return null;
+  }
+  if (!canManageBlog(blog, req.user)) {
+    res.status(403).json({ message: "Not authorized" });
+    return null;
+  }
+  return blog;
+}
+
+// ----------------- Blog Routes -----------------
+
+// Get published blogs (?category= to filter)
+app.get("/api/v1/blogs", validate(blogsQuery, "query"), async (req, res) => {
+  try {
+    const filter = { status: "published" };
+    if (req.query.category) filter.category = req.query.category;
+    const blogs = await Blog.find(filter).sort({ publishedAt: -1, createdAt: -1 });
+    res.json(blogs);
+  } catch (err) {
+    res.status(500).json({ message: "Failed to fetch blogs" });
+  }
+});
+
+// Posts the current user can manage, drafts included (?status= to filter)
+app.get("/api/v1/blogs/manage", requireAuth, requireBlogAuthor, validate(manageBlogsQuery, "query"), async (req, res) => {
+  try {
+    const filter = req.user.role === "admin" ? {} : { authorId: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+    const blogs = await Blog.find(filter).sort({ updatedAt: -1 });
+    res.json(blogs);
+  } catch (err) {
+    res.status(500).json({ message: "Failed to fetch blogs" });
+  }
+});
+
+// Get single blog by ID or slug; drafts are only visible to whoever can manage them
+app.get("/api/v1/blogs/:idOrSlug", optionalAuth, async (req, res) => {
+  try {
+    const blog = await findBlog(req.params.idOrSlug);
+    if (!blog || (blog.status !== "published" && !canManageBlog(blog, req.user)))
+      return res.status(404).json({ message: "Blog not found" });
+    res.json(blog);
+  } catch (err) {
+    res.status(500).json({ message: "Failed to fetch blog" });
+  }
+});
+
+// Create blog (always starts as a draft; author comes from the signed-in user)
+app.post("/api/v1/blogs", requireAuth, requireBlogAuthor, validate(blogInputSchema), async (req, res) => {
+  try {
+    const { title, content, thumbnail, category, slug } = req.body;
+    if (slug && (await Blog.exists({ slug: slugify(slug) })))
+      return res.status(409).json({ message: "Slug already in use" });
+
+    const blog = await Blog.create({
+      title,
+      content,
+      thumbnail: thumbnail || null,
+      category: category || null,
+      slug: slug ? slugify(slug) : await uniqueSlug(Blog, title),
+      authorId: req.user._id,
+      author: req.user.name,
+      authorPhoto: req.user.photoURL,
+    });
+
+    res.status(201).json({ success: true, message: "Blog created", blog });
+  } catch (err) {
+    // The slug check above can lose a race against another post
+    if (err.code === 11000) return res.status(409).json({ message: "Slug already in use" });
+    console.error("Create blog error:", err);
+    res.status(500).json({ message: "Failed to create blog" });
+  }
+});
+
+// Update blog
+app.patch("/api/v1/blogs/:id", requireAuth, requireBlogAuthor, validate(idParams, "params"), validate(blogUpdateSchema), async (req, res) => {
+  try {
+    const blog = await findManagedBlog(req, res);
+    if (!blog) return;
+
+    const { title, content, thumbnail, category, slug } = req.body;
+    if (slug) {
+      const newSlug = slugify(slug);
+      if (await Blog.exists({ slug: newSlug, _id: { $ne: blog._id } }))
+        return res.status(409).json({ message: "Slug already in use" });
+      blog.slug = newSlug;
+    }
+    if (title) blog.title = title;
+    if (content) blog.content = content;
+    if (thumbnail !== undefined) blog.thumbnail = thumbnail || null;
+    if (category !== undefined) blog.category = category || null;
+    if (!blog.slug) blog.slug = await uniqueSlug(Blog, blog.title, blog._id);
+
+    await blog.save();
+    res.json({ success: true, message: "Blog updated", blog });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ message: "Slug already in use" });
+    console.error("Update blog error:", err);
+    res.status(500).json({ message: "Failed to update blog" });
+  }
+});
+
+// Publish / unpublish
+app.patch("/api/v1/blogs/:id/publish", requireAuth, requireBlogAuthor, validate(idParams, "params"), async (req, res) => {
+  try {
+    const blog = await findManagedBlog(req, res);
+    if (!blog) return;
+    if (blog.status === "published") return res.status(400).json({ message: "Blog is already published" });
+
+    blog.status = "published";
+    blog.publishedAt = new Date();
+    if (!blog.slug) blog.slug = await uniqueSlug(Blog, blog.title, blog._id);
+    await blog.save();
+
+    res.json({ success: true, message: "Blog published", blog });
+  } catch (err) {
+    console.error("Publish blog error:", err);
+    res.status(500).json({ message: "Failed to publish blog" });
+  }
+});
+
+app.patch("/api/v1/blogs/:id/unpublish", requireAuth, requireBlogAuthor, validate(idParams, "params"), async (req, res) => {
+  try {
+    const blog = await findManagedBlog(req, res);
+    if (!blog) return;
+    if (blog.status !== "published") return res.status(400).json({ message: "Blog is not published" });
+
+    blog.status = "draft";
+    blog.publishedAt = null;
+    await blog.save();
+
+    res.json({ success: true, message: "Blog unpublished", blog });
+  } catch (err) {
+    console.error("Unpublish blog error:", err);
+    res.status(500).json({ message: "Failed to unpublish blog" });
+  }
+});
+
+// Delete blog
+app.delete("/api/v1/blogs/:id", requireAuth, requireBlogAuthor, validate(idParams, "params"), async (req, res) => {
+  try {
+    const blog = await findManagedBlog(req, res);
+    if (!blog) return;
+
+    await blog.deleteOne();
+    res.json({ success: true, message: "Blog deleted" });
+  } catch (err) {
+    console.error("Delete blog error:", err);
+    res.status(500).json({ message: "Failed to delete blog" });
+  }
+});
+
+// Grant or revoke blog authoring rights
+app.patch("/api/v1/admin/users/:id/blog-author", requireAuth, requireAdmin, validate(idParams, "params"), validate(blogAuthorSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findByIdAndUpdate(id, { $set: { blogAuthor: req.body.enabled } }, { new: true });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({ success: true, message: req.body.enabled ? "Blog author approved" : "Blog author revoked", user });
+  } catch (err) {
+    console.error("Blog author toggle error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------- OrderSchema----------------
+// "awaiting_payment" only applies to gateway orders until the provider confirms payment
+const ORDER_STATUSES = ["awaiting_payment", "pending", "confirmed", "shipped", "delivered", "cancelled"];
+const PAYMENT_STATUSES = ["pending", "succeeded", "failed", "cancelled", "partially_refunded", "refunded"];
+
+// Snapshot of a product line at checkout time
+const OrderItemSchema = new Schema(
+  {
+    productId: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    variantId: { type: Schema.Types.ObjectId, default: null }, // the exact variant bought, if the product has variants
+    variantLabel: { type: String, default: null }, // e.g. "256GB / Black"
+    sku: { type: String, default: null },
+    merchantId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    title: { type: String, required: true },
+    image: { type: String, default: null },
+    category: { type: String, default: null },
+    categoryId: { type: Schema.Types.ObjectId, ref: "Category", default: null }, // for category commission rules
+    listPrice: { type: Number, default: null }, // retailPrice at checkout time
+    unitPrice: { type: Number, required: true }, // what was charged per unit (sale price while a sale ran)
+    quantity: { type: Number, required: true, min: 1 },
+    lineTotal: { type: Number, required: true }, // unitPrice × quantity, before coupons
+    discount: { type: Number, default: 0 }, // this line's share of the order's coupon discount
+  },
+  { _id: false }
+);
+
+// A refund asked of the payment provider; settled by its webhook
+const RefundSchema = new Schema(
+  {
+    refundId: { type: String, default: null }, // provider's refund id
+    amount: { type: Number, required: true },
+    status: { type: String, enum: ["pending", "succeeded", "failed"], default: "pending" },
+    reason: { type: String, default: null },
+    subOrderIds: [{ type: Schema.Types.ObjectId }],
+    requestedBy: { type: Schema.Types.ObjectId, ref: "User", default: null }, // null when the platform asked
+    failureReason: { type: String, default: null },
+    settledAt: { type: Date, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const TrackingSchema = new Schema(
+  {
+    carrier: { type: String, required: true },
+    trackingNumber: { type: String, required: true },
+    url: { type: String, default: null },
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// One slice of a parent order per merchant; merchants work on their slice only
+const SubOrderSchema = new Schema(
+  {
+    merchantId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    items: [OrderItemSchema],
+    subtotal: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    shippingFee: { type: Number, default: 0 }, // each merchant ships their slice as one parcel
+    total: { type: Number, required: true }, // subtotal - discount + shippingFee
+    status: { type: String, enum: ORDER_STATUSES, default: "pending" },
+    tracking: { type: TrackingSchema, default: null }, // added when the merchant ships
+    // Issued the first time the invoice is opened; numbers run per merchant without gaps
+    invoice: {
+      number: { type: String, default: null },
+      issuedAt: { type: Date, default: null },
+    },
+  },
+  { timestamps: true }
+);
+
+const OrderSchema = new mongoose.Schema(
+  {
+    orderedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // user ID
+    items: [OrderItemSchema],
+    subOrders: [SubOrderSchema],
+    subtotal: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    shippingFee: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    // Copy of the delivery address at checkout; later address book edits don't touch it
+    shippingAddress: { type: new Schema(addressPaths, { _id: false }), default: null },
+    delivery: {
+      zoneId: { type: Schema.Types.ObjectId, ref: "DeliveryZone", default: null },
+      minDays: { type: Number, default: null },
+      maxDays: { type: Number, default: null },
+      estimatedBy: { type: Date, default: null }, // checkout time + maxDays
+    },
+    // Snapshot of the coupon applied at checkout, computed on the server
+    coupon: {
+      couponId: { type: Schema.Types.ObjectId, ref: "Coupon", default: null },
+      code: { type: String, default: null },
+      type: { type: String, enum: ["percent", "fixed", null], default: null },
+      value: { type: Number, default: null },
+      fundedBy: { type: String, enum: ["platform", "merchant", null], default: null },
+      merchantId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+      discount: { type: Number, default: 0 },
+      releasedAt: { type: Date, default: null }, // usage handed back when the whole order was cancelled
+    },
+    // Cash on delivery is marked paid when the order is delivered; gateway payments are
+    // settled by the provider's signed webhook
+    payment: {
+      method: { type: String, enum: ["cod", "online"], default: "cod" },
+      provider: { type: String, default: null }, // e.g. "mock" for online payments
+      status: { type: String, enum: PAYMENT_STATUSES, default: "pending" },
+      amount: { type: Number, default: 0 },
+      currency: { type: String, default: PAYMENT_CURRENCY },
+      intentId: { type: String, default: null },
+      checkoutUrl: { type: String, default: null }, // where the customer completes payment
+      expiresAt: { type: Date, default: null }, // unpaid online orders are cancelled after this
+      paidAt: { type: Date, default: null },
+      failedAt: { type: Date, default: null },
+      failureReason: { type: String, default: null },
+      refunded: { type: Number, default: 0 }, // settled refunds only
+      refunds: [RefundSchema],
+    },
+    status: { type: String, enum: ORDER_STATUSES, default: "pending" }, // derived from subOrders
+    statusHistory: [
+      {
+        _id: false,
+        subOrderId: { type: Schema.Types.ObjectId, default: null },
+        from: { type: String, enum: [...ORDER_STATUSES, null], default: null },
+        to: { type: String, enum: ORDER_STATUSES, required: true },
+        changedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+        actor: { type: String, enum: ["customer", "merchant", "admin", "system"], default: "system" },
+        note: { type: String, default: null },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+
+    // Legacy single-product orders created before the split; not written anymore
+    product: { type: Object },
+    quantity: { type: Number },
+    addedByMerchant: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  // optimisticConcurrency makes two racing status changes fail instead of overwriting each other
+  { timestamps: true, optimisticConcurrency: true }
+);
+
+OrderSchema.index({ orderedBy: 1, createdAt: -1 });
+OrderSchema.index({ "subOrders.merchantId": 1, createdAt: -1 });
+OrderSchema.index(
+  { "payment.provider": 1, "payment.intentId": 1 },
+  { unique: true, partialFilterExpression: { "payment.intentId": { $type: "string" } } }
+);
+OrderSchema.index({ "payment.status": 1, "payment.expiresAt": 1 });
+
+// Parent status follows the least-advanced live sub-order; cancelled slices
+// are ignored unless every slice is cancelled.
+function deriveOrderStatus(subOrders) {
+  const live = subOrders.filter((s) => s.status !== "cancelled");
+  if (!live.length) return subOrders.length ? "cancelled" : "pending";
+  const rank = (status) => ORDER_STATUSES.indexOf(status);
+  return live.reduce((min, s) => (rank(s.status) < rank(min) ? s.status : min), live[0].status);
+}
+
+OrderSchema.pre("save", function (next) {
+  if (this.subOrders.length) this.status = deriveOrderStatus(this.subOrders);
+  // Cash is collected on delivery
+  if (this.status === "delivered" && this.payment?.method === "cod" && this.payment.status === "pending") {
+    this.payment.status = "succeeded";
+    this.payment.paidAt = new Date();
+  }
+  next();
+});
+
+// Legal status moves and which party may make each one. Admins may make any legal move.
+// Leaving awaiting_payment for pending is the payment webhook's job (see systemTransition).
+const ORDER_TRANSITIONS = {
+  awaiting_payment: { cancelled: ["customer"] },
+  pending: { confirmed: ["merchant"], cancelled: ["customer", "merchant"] },
+  confirmed: { shipped: ["merchant"], cancelled: ["customer", "merchant"] },
+  shipped: { delivered: ["merchant"] },
+  delivered: {},
+  cancelled: {},
+};
+
+// How `user` relates to a sub-order: "admin", "merchant" (owns the slice), "customer" (placed the order) or null
+function orderActor(order, subOrder, user) {
+  if (user.role === "admin") return "admin";
+  if (subOrder && subOrder.merchantId.toString() === user._id.toString()) return "merchant";
+  if (order.orderedBy.toString() === user._id.toString()) return "customer";
+  return null;
+}
+
+// Moves a sub-order to `to` and appends history. Does not save.
+// Returns { status, message } on failure, null on success.
+function transitionSubOrder(order, subOrder, to, user, note) {
+  const actor = orderActor(order, subOrder, user);
+  if (!actor) return { status: 403, message: "Not authorized" };
+
+  const allowed = ORDER_TRANSITIONS[subOrder.status]?.[to];
+  if (!allowed) return { status: 400, message: `Cannot move order from ${subOrder.status} to ${to}` };
+  if (actor !== "admin" && !allowed.includes(actor)) {
+    return { status: 403, message: `Only ${allowed.join(" or ")} can mark an order ${to}` };
+  }
+
+  order.statusHistory.push({ subOrderId: subOrder._id, from: subOrder.status, to, changedBy: user._id, actor, note: note || null });
+  subOrder.status = to;
+  return null;
+}
+
+// Moves a sub-order on the platform's behalf (payment webhooks): no permission checks. Does not save.
+function systemTransition(order, subOrder, to, note) {
+  order.statusHistory.push({ subOrderId: subOrder._id, from: subOrder.status, to, actor: "system", note: note || null });
+  subOrder.status = to;
+}
+
+// Tells each merchant about their new sub-order
+async function notifyNewOrder(order, subOrders = order.subOrders) {
+  for (const subOrder of subOrders) {
+    await notify(subOrder.merchantId, {
+      type: "order",
+      title: "New order",
+      message: `${subOrder.items.length} item(s) ordered, ${subOrder.total} in total.`,
+      data: { orderId: order._id, subOrderId: subOrder._id },
+    });
+  }
+}
+
+// Tells the customer and the merchant of each changed sub-order, except whoever made the change
+async function notifyOrderStatus(order, subOrders, status, user) {
+  for (const subOrder of subOrders) {
+    for (const recipient of [order.orderedBy, subOrder.merchantId]) {
+      if (recipient.toString() === user._id.toString()) continue;
+      const tracking = status === "shipped" && subOrder.tracking;
+      await notify(recipient, {
+        type: "order",
+        title: `Order ${status}`,
+        message: `Order ${order._id} is now ${status}.${tracking ? ` Tracking: ${tracking.carrier} ${tracking.trackingNumber}.` : ""}`,
+        data: { orderId: order._id, subOrderId: subOrder._id, status, tracking: tracking || null },
+      });
+    }
+  }
+}
+
+// Items to put back on the shelf for sub-orders that were just cancelled
+const restockLines = (subOrders) =>
+  subOrders.flatMap((s) => s.items.map((i) => ({ productId: i.productId, variantId: i.variantId || null, quantity: i.quantity })));
+
+// What `user` may see of an order: the whole order, one merchant's slice, or nothing (null)
+function orderViewFor(order, user) {
+  const userId = user._id.toString();
+  if (user.role === "admin" || order.orderedBy.toString() === userId) return order;
+  if (order.subOrders.some((s) => s.merchantId.toString() === userId)) return merchantSlice(order, userId);
+  if (order.addedByMerchant?.toString() === userId) return order; // legacy single-product order
+  return null;
+}
+
+// Order as seen by one merchant: only their sub-order and their items
+function merchantSlice(order, merchantId) {
+  const obj = typeof order.toObject === "function" ? order.toObject() : order;
+  const subOrder = obj.subOrders.find((s) => s.merchantId.toString() === merchantId.toString());
+  return {
+    _id: obj._id,
+    orderedBy: obj.orderedBy,
+    createdAt: obj.createdAt,
+    shippingAddress: obj.shippingAddress || null,
+    delivery: obj.delivery || null,
+    subOrder: subOrder || null,
+  };
+}
+
+const Order = mongoose.model("Order", OrderSchema);
+
+// ----------------- Stock Reservation Helpers -----------------
+
+// Aggregation-pipeline update that shifts quantity by `delta` and keeps
+// stockStatus in sync, so both fields change in a single atomic write.
+// With a variantId the variant's quantity moves too, keeping the product total equal to the sum.
+// The version is bumped as well, so a save() based on a read from before this write fails.
+function stockDeltaUpdate(delta, variantId = null) {
+  const stages = [];
+  if (variantId) {
+    const id = new mongoose.Types.ObjectId(String(variantId));
+    stages.push({
+      $set: {
+        variants: {
+          $map: {
+            input: "$variants",
+            as: "v",
+            in: {
+              $cond: [
+                { $eq: ["$$v._id", id] },
+                { $mergeObjects: ["$$v", { quantity: { $add: ["$$v.quantity", delta] } }] },
+                "$$v",
+              ],
+            },
+          },
+        },
+      },
+    });
+  }
+  stages.push({
+    $set: {
+      quantity: { $add: ["$quantity", delta] },
+      stockStatus: {
+        $cond: [{ $gt: [{ $add: ["$quantity", delta] }, 0] }, "in-stock", "out-of-stock"],
+      },
+      __v: { $add: [{ $ifNull: ["$__v", 0] }, 1] },
+    },
+  });
+  return stages;
+}
+
+// Filter matching a product (or one of its variants) that still has `quantity` in stock;
+// without a quantity it only checks the variant still exists
+function stockFilter(productId, variantId = null, quantity = 0) {
+  if (!variantId) return { _id: productId, quantity: { $gte: quantity } };
+  return { _id: productId, variants: { $elemMatch: { _id: variantId, quantity: { $gte: quantity } } } };
+}
+
+// Re-reads every product and prices each line at its current price (retailPrice or a
+// running sale; the variant's for products with variants, where items must name a variantId).
+// Returns { lines, problems } where problems lists missing or oversold lines.
+async function priceLines(items) {
+  const ids = items.map((i) => i.productId);
+  const products = await Product.find({ _id: { $in: ids }, archivedAt: null });
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const lines = [];
+  const problems = [];
+  for (const item of items) {
+    const product = byId.get(item.productId.toString());
+    if (!product) {
+      problems.push({ productId: item.productId, reason: "Product not found" });
+      continue;
+    }
+    let variant = null;
+    if (product.variants.length || item.variantId) {
+      variant = item.variantId ? product.variants.id(item.variantId) : null;
+      if (!variant) {
+        problems.push({ productId: item.productId, variantId: item.variantId || null, reason: item.variantId ? "Variant not found" : "Choose a variant" });
+        continue;
+      }
+    }
+    const stock = variant ? variant.quantity : product.quantity;
+    if (stock < item.quantity) {
+      problems.push({ productId: item.productId, variantId: variant?._id || null, reason: "Insufficient stock", available: stock });
+      continue;
+    }
+    const unitPrice = currentUnitPrice(product, variant);
+    lines.push({
+      productId: product._id,
+      variantId: variant?._id || null,
+      product,
+      variant,
+      quantity: item.quantity,
+      listPrice: (variant || product).retailPrice,
+      unitPrice,
+      totalPrice: unitPrice * item.quantity,
+    });
+  }
+  return { lines, problems };
+}
+
+// Puts reserved quantities back on the shelf. With a `movement` (ledger reason,
+// actor and refs, see recordStockMovements) the return is recorded and subscribers
+// of sold-out products are alerted. Without one it is the rollback of a write that
+// never completed, so neither happens. Every line is released before a ledger error is thrown.
+async function releaseStock(lines, movement = null) {
+  let ledgerError = null;
+  for (const line of lines) {
+    const updated = await Product.findOneAndUpdate(
+      stockFilter(line.productId, line.variantId),
+      stockDeltaUpdate(line.quantity, line.variantId),
+      { new: true }
+    );
+    if (!movement || !updated) continue;
+    try {
+      await recordStockMovements([{ product: updated, delta: line.quantity, variantId: line.variantId }], movement);
+    } catch (err) {
+      if (!ledgerError) ledgerError = err;
+      continue;
+    }
+    if (updated.quantity - line.quantity <= 0 && updated.quantity > 0) await notifyBackInStock(updated._id);
+  }
+  if (ledgerError) throw ledgerError;
+}
+
+// Atomically decrements stock line by line. The quantity guard in the filter
+// means a concurrent buyer can never drive stock below zero; if any line loses
+// that race, everything reserved so far is released and the oversold line returned.
+async function reserveStock(lines) {
+  const reserved = [];
+  for (const line of lines) {
+    const updated = await Product.findOneAndUpdate(
+      stockFilter(line.productId, line.variantId, line.quantity),
+      stockDeltaUpdate(-line.quantity, line.variantId),
+      { new: true }
+    );
+    if (!updated) {
+      await releaseStock(reserved);
+      return { ok: false, failed: line };
+    }
+    reserved.push({ ...line, product: updated });
+  }
+  return { ok: true, reserved };
+}
+
+// Rounds to cents
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Groups priced lines by merchant into sub-orders; each pays `shippingFee` for its parcel.
+function buildSubOrders(items, { status = "pending", shippingFee = 0 } = {}) {
+  const byMerchant = new Map();
+  for (const item of items) {
+    const key = item.merchantId.toString();
+    if (!byMerchant.has(key)) byMerchant.set(key, []);
+    byMerchant.get(key).push(item);
+  }
+  return [...byMerchant.values()].map((merchantItems) => {
+    const subtotal = merchantItems.reduce((sum, i) => sum + i.lineTotal, 0);
+    const discount = roundMoney(merchantItems.reduce((sum, i) => sum + (i.discount || 0), 0));
+    return {
+      merchantId: merchantItems[0].merchantId,
+      items: merchantItems,
+      subtotal,
+      discount,
+      shippingFee,
+      total: roundMoney(subtotal - discount + shippingFee),
+      status,
+    };
+  });
+}
+
+// Reserves stock (and a coupon use) and writes a single parent order split per merchant.
+// Gateway orders also get a payment intent and wait in awaiting_payment until the provider confirms.
+// Shared by checkout and buy-now. Failures return { ok: false, problems, status? }.
+async function placeOrder(user, items, { couponCode = null, paymentMethod = "cod", addressId = null, shippingAddress = null } = {}) {
+  const provider = paymentMethod === "cod" ? null : PAYMENT_PROVIDERS[paymentMethod];
+  if (paymentMethod !== "cod" && !provider)
+    return { ok: false, status: 400, problems: [{ paymentMethod, reason: "Unsupported payment method" }] };
+
+  const destination = resolveShippingAddress(user, { addressId, shippingAddress });
+  if (destination.problem) return { ok: false, status: 400, problems: [destination.problem] };
+  const zone = await findDeliveryZone(destination.address.district, destination.address.upazila);
+
+  const { lines, problems } = await priceLines(items);
+  if (problems.length) return { ok: false, problems };
+
+  let quote = null;
+  if (couponCode) {
+    quote = await quoteCoupon(couponCode, lines, user);
+    if (quote.error) return { ok: false, status: 400, problems: [{ couponCode, reason: quote.error }] };
+    const refused = await claimCoupon(quote.coupon, user._id);
+    if (refused) return { ok: false, problems: [{ couponCode, reason: refused }] };
+  }
+
+  const reservation = await reserveStock(lines);
+  if (!reservation.ok) {
+    if (quote) await releaseCouponClaim(quote.coupon._id, user._id);
+    return {
+      ok: false,
+      problems: [{ productId: reservation.failed.productId, reason: "Insufficient stock" }],
+    };
+  }
+
+  let order = null;
+  const logged = []; // reserved lines whose sale row is in the ledger
+  try {
+    const orderItems = lines.map((line, i) => ({
+      productId: line.product._id,
+      variantId: line.variantId,
+      variantLabel: line.variant ? variantLabel(line.variant) : null,
+      sku: line.variant?.sku || null,
+      merchantId: line.product.merchantId,
+      title: line.product.title,
+      image: line.variant?.images?.[0] || line.product.images?.[0] || null,
+      category: line.product.category,
+      categoryId: line.product.categoryId || null,
+      listPrice: line.listPrice,
+      unitPrice: line.unitPrice,
+      quantity: line.quantity,
+      lineTotal: line.totalPrice,
+      discount: quote?.allocations[i] || 0,
+    }));
+    const initialStatus = provider ? "awaiting_payment" : "pending";
+    const subOrders = buildSubOrders(orderItems, { status: initialStatus, shippingFee: zone.fee });
+    const subtotal = subOrders.reduce((sum, s) => sum + s.subtotal, 0);
+    const discount = quote?.discount || 0;
+    const shippingFee = roundMoney(zone.fee * subOrders.length);
+    const total = roundMoney(subtotal - discount + shippingFee);
+
+    const orderId = new mongoose.Types.ObjectId();
+    const intent = provider ? await provider.createIntent({ orderId, amount: total, currency: PAYMENT_CURRENCY }) : null;
+
+    order = await Order.create({
+      _id: orderId,
+      orderedBy: user._id,
+      items: orderItems,
+      subOrders,
+      subtotal,
+      discount,
+      shippingFee,
+      total,
+      shippingAddress: addressSnapshot(destination.address),
+      delivery: deliveryEstimate(zone),
+      coupon: quote ? couponSnapshot(quote) : undefined,
+      payment: {
+        method: provider ? "online" : "cod",
+        provider: provider ? paymentMethod : null,
+        amount: total,
+        currency: PAYMENT_CURRENCY,
+        intentId: intent?.intentId || null,
+        checkoutUrl: intent?.checkoutUrl || null,
+        expiresAt: provider ? new Date(Date.now() + PAYMENT_TIMEOUT_MINUTES * 60000) : null,
+      },
+      statusHistory: [{ to: initialStatus, changedBy: user._id, actor: "customer" }],
+    });
+    if (quote) {
+      await CouponRedemption.create({ couponId: quote.coupon._id, userId: user._id, orderId: order._id, discount });
+    }
+    for (const line of reservation.reserved) {
+      await recordStockMovements([{ product: line.product, delta: -line.quantity, variantId: line.variantId }], {
+        reason: "sale",
+        by: user._id,
+        orderId: order._id,
+      });
+      logged.push(line);
+    }
+  } catch (err) {
+    // Stock and the coupon use only go back once no order holds them; if removing the
+    // order fails, this throws first and the order keeps what it reserved
+    if (order) {
+      await Order.deleteOne({ _id: order._id });
+      if (quote) await CouponRedemption.deleteOne({ couponId: quote.coupon._id, orderId: order._id });
+    }
+    await releaseStock(reservation.reserved.filter((line) => !logged.includes(line)));
+    await releaseStock(logged, { reason: "reversal", by: user._id, orderId: order?._id, note: "Order could not be placed" });
+    if (quote) await releaseCouponClaim(quote.coupon._id, user._id);
+    throw err;
+  }
+
+  if (!provider) await notifyNewOrder(order); // gateway orders are announced once paid
+  return { ok: true, order };
+}
+
+// Create a new order (buy-now for a single product)
+app.post("/api/v1/orders", requireAuth, validate(orderSchema), async (req, res) => {
+  try {
+    const { productId, variantId, quantity, ...options } = req.body;
+
+    const result = await placeOrder(req.user, [{ productId, variantId, quantity }], options);
+    if (!result.ok) {
+      return res.status(result.status || 409).json({ error: "Order could not be placed", details: result.problems });
+    }
+
+    res.status(201).json({ message: "Order created successfully", order: result.order });
+  } catch (err) {
+    console.error("Order creation error:", err.message);
+    res.status(500).json({ error: "Failed to create order" });
+  }
+});
+
+// ✅ Get Orders (GET) - admins see every order, everyone else sees the orders they placed.
+// Admins can pass ?scope=mine to see only their own purchases.
+app.get("/api/v1/orders", requireAuth, validate(ordersQuery, "query"), async (req, res) => {
+  try {
+    const filter = req.user.role === "admin" && req.query.scope !== "mine" ? {} : { orderedBy: req.user._id };
+    const orders = await Order.find(filter).sort({ createdAt: -1 });
+    for (const order of orders) await expireOverduePayment(order); // no-op unless its payment window has passed
+    res.json({ success: true, count: orders.length, data: orders });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Merchant's sales: their own slice of every order that contains their products
+app.get("/api/v1/merchant/orders", requireAuth, requireMerchant, async (req, res) => {
+  try {
+    const orders = await Order.find({
+      $or: [{ "subOrders.merchantId": req.user._id }, { addedByMerchant: req.user._id }],
+    }).sort({ createdAt: -1 });
+    const data = orders.map((o) => (o.subOrders.length ? merchantSlice(o, req.user._id) : o));
+    res.json({ success: true, count: data.length, data });
+  } catch (err) {
+    console.error("Merchant orders error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Change a sub-order's status (merchant confirms/ships/delivers, customer cancels, admin overrides)
+app.patch("/api/v1/orders/:id/sub-orders/:subOrderId/status", requireAuth, validate(subOrderParams, "params"), validate(orderStatusSchema), async (req, res) => {
+  try {
+    const { id, subOrderId } = req.params;
+    const { status, note } = req.body;
+
+    const order = await Order.findById(id);
+    if (!order) return res.status(404).json({ success: false, message: "Order not found" });
+    const subOrder = order.subOrders.id(subOrderId);
+    if (!subOrder) return res.status(404).json({ success: false, message: "Sub-order not found" });
+
+    const failure = transitionSubOrder(order, subOrder, status, req.user, note);
+    if (failure) return res.status(failure.status).json({ success: false, message: failure.message });
+    if (req.body.tracking) subOrder.tracking = req.body.tracking;
+
+    await order.save();
+    if (status === "cancelled")
+      await releaseStock(restockLines([subOrder]), { reason: "cancellation", by: req.user._id, orderId: order._id });
+    await notifyOrderStatus(order, [subOrder], status, req.user);
+    await releaseOrderCoupon(order);
+    if (status === "cancelled") await refundCancelled(order, [subOrder], req.user);
+    if (status === "delivered") await recordSaleEarnings(order, subOrder);
+
+    res.json({ success: true, message: `Order ${status}`, order });
+  } catch (err) {
+    if (err.name === "VersionError")
+      return res.status(409).json({ success: false, message: "Order was modified concurrently, please retry" });
+    console.error("Order status error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Add or correct the tracking details of a shipped sub-order (its merchant or an admin)
+app.patch(
+  "/api/v1/orders/:id/sub-orders/:subOrderId/tracking",
+  requireAuth,
+  validate(subOrderParams, "params"),
+  validate(trackingSchema),
+  async (req, res) => {
+    try {
+      const { id, subOrderId } = req.params;
+      const order = await Order.findById(id);
+      if (!order) return res.status(404).json({ success: false, message: "Order not found" });
+      const subOrder = order.subOrders.id(subOrderId);
+      if (!subOrder) return res.status(404).json({ success: false, message: "Sub-order not found" });
+
+      const actor = orderActor(order, subOrder, req.user);
+      if (actor !== "merchant" && actor !== "admin") return res.status(403).json({ success: false, message: "Not authorized" });
+      if (subOrder.status !== "shipped")
+        return res.status(400).json({ success: false, message: "Tracking can only be set on a shipped order" });
+
+      subOrder.tracking = req.body;
+      await order.save();
+      await notify(order.orderedBy, {
+        type: "order",
+        title: "Tracking updated",
+        message: `Order ${order._id} ships with ${subOrder.tracking.carrier}, tracking number ${subOrder.tracking.trackingNumber}.`,
+        data: { orderId: order._id, subOrderId: subOrder._id, tracking: subOrder.tracking },
+      });
+
+      res.json({ success: true, message: "Tracking saved", tracking: subOrder.tracking });
+    } catch (err) {
+      if (err.name === "VersionError")
+        return res.status(409).json({ success: false, message: "Order was modified concurrently, please retry" });
+      console.error("Order tracking error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+// Cancel a whole order. Customers can only do this while nothing has shipped.
+async function cancelOrder(req, res) {
+  try {
+    const { id } = req.params;
+    const order = await Order.findById(id);
+    if (!order) return res.status(404).json({ success: false, message: "Order not found" });
+
+    const isAdmin = req.user.role === "admin";
+    if (!isAdmin && order.orderedBy.toString() !== req.user._id.toString())
+      return res.status(403).json({ success: false, message: "Not authorized" });
+
+    // Legacy single-product orders never reserved stock, so there is nothing to put back
+    if (!order.subOrders.length) {
+      if (!ORDER_TRANSITIONS[order.status]?.cancelled)
+        return res.status(400).json({ success: false, message: `Cannot cancel a ${order.status} order` });
+      order.statusHistory.push({ from: order.status, to: "cancelled", changedBy: req.user._id, actor: isAdmin ? "admin" : "customer" });
+      order.status = "cancelled";
+      await order.save();
+      return res.json({ success: true, message: "Order cancelled successfully", order });
+    }
+
+    const open = order.subOrders.filter((s) => s.status !== "cancelled");
+    for (const subOrder of open) {
+      const failure = transitionSubOrder(order, subOrder, "cancelled", req.user, req.body.note);
+      if (failure) return res.status(failure.status).json({ success: false, message: failure.message });
+    }
+
+    await order.save();
+    await releaseStock(restockLines(open), { reason: "cancellation", by: req.user._id, orderId: order._id });
+    await notifyOrderStatus(order, open, "cancelled", req.user);
+    await releaseOrderCoupon(order);
+    await refundCancelled(order, open, req.user);
+
+    res.json({ success: true, message: "Order cancelled successfully", order });
+  } catch (err) {
+    if (err.name === "VersionError")
+      return res.status(409).json({ success: false, message: "Order was modified concurrently, please retry" });
+    console.error("Failed to cancel order:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+
+app.post("/api/v1/orders/:id/cancel", requireAuth, validate(idParams, "params"), validate(noteSchema), cancelOrder);
+
+// ---------------------------
+// Invoices & Packing Slips
+// ---------------------------
+// Both documents are rendered here, as HTML or as a small hand-written PDF,
+// so no template engine, headless browser or outside service is involved.
+
+// Last invoice number handed out per merchant, plus numbers reserved for a sub-order
+// but not yet written to it (so a failed write is retried with the same number)
+const InvoiceCounterSchema = new Schema({
+  merchantId: { type: Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+  seq: { type: Number, default: 0 },
+  pending: [{ _id: false, subOrderId: Schema.Types.ObjectId, seq: Number }],
+});
+
+const InvoiceCounter = model("InvoiceCounter", InvoiceCounterSchema);
+
+// e.g. "INV-GADGET-HUB-000042"; the prefix comes from the shop slug at issue time
+const invoiceNumber = (merchant, seq) => {
+  const shop = (merchant.shopDetails?.slug || merchant._id.toString().slice(-6)).toUpperCase().slice(0, 20);
+  return `INV-${shop}-${String(seq).padStart(6, "0")}`;
+};
+
+// A claim older than this without a number belongs to a request that died mid-issue
+const INVOICE_CLAIM_TIMEOUT_MS = 30000;
+
+// The sequence number held for `subOrderId`, or the merchant's next one (held until released)
+async function reserveInvoiceSeq(merchantId, subOrderId) {
+  const held = await InvoiceCounter.findOne({ merchantId, "pending.subOrderId": subOrderId }).select({ "pending.$": 1 });
+  if (held) return held.pending[0].seq;
+
+  const counter = await InvoiceCounter.findOneAndUpdate(
+    { merchantId },
+    [
+      { $set: { seq: { $add: [{ $ifNull: ["$seq", 0] }, 1] } } },
+      { $set: { pending: { $concatArrays: [{ $ifNull: ["$pending", []] }, [{ subOrderId, seq: "$seq" }]] } } },
+    ],
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+}
+
+// Returns the sub-order's invoice number, issuing the next one for its merchant if needed.
+// The sub-order is claimed (issuedAt) before the counter moves, so racing requests
+// can never burn a number. Returns null while another request is mid-issue.
+async function issueInvoice(order, subOrder, merchant) {
+  if (subOrder.invoice?.number) return subOrder.invoice.number;
+
+  const issuedAt = new Date();
+  const staleBefore = new Date(issuedAt.getTime() - INVOICE_CLAIM_TIMEOUT_MS);
+  const claimed = await Order.updateOne(
+    {
+      _id: order._id,
+      subOrders: {
+        $elemMatch: {
+          _id: subOrder._id,
+          $or: [{ "invoice.issuedAt": null }, { "invoice.number": null, "invoice.issuedAt": { $lt: staleBefore } }],
+        },
+      },
+    },
+    { $set: { "subOrders.$.invoice.issuedAt": issuedAt } }
+  );
+  if (!claimed.modifiedCount) {
+    const fresh = await Order.findById(order._id).select("subOrders._id subOrders.invoice");
+    return fresh.subOrders.id(subOrder._id)?.invoice?.number || null;
+  }
+
+  try {
+    const number = invoiceNumber(merchant, await reserveInvoiceSeq(subOrder.merchantId, subOrder._id));
+    const written = await Order.updateOne(
+      { _id: order._id, subOrders: { $elemMatch: { _id: subOrder._id, "invoice.number": null } } },
+      { $set: { "subOrders.$.invoice.number": number } }
+    );
+    if (!written.modifiedCount) {
+      // An overlapping request got there first; its number stands
+      const fresh = await Order.findById(order._id).select("subOrders._id subOrders.invoice");
+      return fresh.subOrders.id(subOrder._id).invoice.number;
+    }
+    await InvoiceCounter.updateOne({ merchantId: subOrder.merchantId }, { $pull: { pending: { subOrderId: subOrder._id } } });
+    subOrder.invoice = { number, issuedAt };
+    return number;
+  } catch (err) {
+    // Release the claim so the next request can issue it; a reserved number stays held for it
+    await Order.updateOne(
+      { _id: order._id, subOrders: { $elemMatch: { _id: subOrder._id, "invoice.number": null } } },
+      { $set: { "subOrders.$.invoice.issuedAt": null } }
+    ).catch(() => {}); // if this fails too, the claim goes stale and is taken over
+    throw err;
+  }
+}
+
+const formatMoney = (amount) =>
+  Number(amount || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "");
+
+const addressLines = (address) =>
+  address
+    ? [
+        address.recipientName,
+        address.line1,
+        address.line2,
+        [address.upazila, address.district, address.postalCode].filter(Boolean).join(", "),
+        address.phone,
+      ].filter(Boolean)
+    : [];
+
+// Everything either document shows, in one plain object. `kind` is "invoice" or "packing-slip".
+function documentModel(kind, { order, subOrder, merchant, customer, number }) {
+  const shop = merchant.shopDetails || {};
+  return {
+    kind,
+    title: kind === "invoice" ? "Invoice" : "Packing slip",
+    number,
+    issuedAt: kind === "invoice" ? subOrder.invoice?.issuedAt || null : null,
+    orderId: order._id.toString(),
+    orderDate: order.createdAt,
+    seller: {
+      name: shop.shopName || merchant.name,
+      lines: [
+        shop.shopAddress,
+        shop.shopNumber && `Shop no. ${shop.shopNumber}`,
+        merchant.phone && `Phone: ${merchant.phone}`,
+        merchant.email,
+        shop.tradeLicense && `Trade license: ${shop.tradeLicense}`,
+      ].filter(Boolean),
+    },
+    customer: [customer?.name, customer?.email, customer?.phone].filter(Boolean),
+    shipTo: addressLines(order.shippingAddress),
+    items: subOrder.items.map((item) => ({
+      title: item.title,
+      detail: [item.variantLabel, item.sku && `SKU ${item.sku}`].filter(Boolean).join(" · "),
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      lineTotal: item.lineTotal,
+      discount: item.discount || 0,
+    })),
+    totals: [
+      ["Subtotal", subOrder.subtotal],
+      ...(subOrder.discount ? [[`Discount${order.coupon?.code ? ` (${order.coupon.code})` : ""}`, -subOrder.discount]] : []),
+      ["Shipping", subOrder.shippingFee || 0],
+    ],
+    total: subOrder.total,
+    currency: order.payment?.currency || PAYMENT_CURRENCY,
+    payment: order.payment ? `${order.payment.method === "cod" ? "Cash on delivery" : "Online"} (${order.payment.status})` : null,
+    tracking: subOrder.tracking ? `${subOrder.tracking.carrier} ${subOrder.tracking.trackingNumber}` : null,
+    status: subOrder.status,
+  };
+}
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+function documentHtml(doc) {
+  const priced = doc.kind === "invoice";
+  const lines = (values) => values.map((v) => `<div>${escapeHtml(v)}</div>`).join("");
+  const meta = [
+    doc.number && ["Invoice no.", doc.number],
+    doc.issuedAt && ["Issued", formatDate(doc.issuedAt)],
+    ["Order", doc.orderId],
+    ["Order date", formatDate(doc.orderDate)],
+    priced && doc.payment && ["Payment", doc.payment],
+    !priced && doc.tracking && ["Tracking", doc.tracking],
+  ].filter(Boolean);
+
+  const rows = doc.items
+    .map(
+      (item) => `<tr>
+        <td>${escapeHtml(item.title)}${item.detail ? `<div class="muted">${escapeHtml(item.detail)}</div>` : ""}</td>
+        <td class="num">${item.quantity}</td>
+        ${priced ? `<td class="num">${formatMoney(item.unitPrice)}</td><td class="num">${formatMoney(item.lineTotal)}</td>` : `<td class="check"></td>`}
+      </tr>`
+    )
+    .join("");
+
+  const totals = priced
+    ? `<table class="totals">
+        ${doc.totals.map(([label, amount]) => `<tr><td>${escapeHtml(label)}</td><td class="num">${formatMoney(amount)}</td></tr>`).join("")}
+        <tr class="grand"><td>Total (${escapeHtml(doc.currency)})</td><td class="num">${formatMoney(doc.total)}</td></tr>
+      </table>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(doc.title)} ${escapeHtml(doc.number || doc.orderId)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 40px; font-size: 13px; }
+  h1 { margin: 0 0 4px; font-size: 24px; }
+  .muted { color: #777; font-size: 11px; }
+  .row { display: flex; justify-content: space-between; gap: 24px; margin: 24px 0; }
+  .row h3 { margin: 0 0 6px; font-size: 12px; text-transform: uppercase; color: #777; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 8px 6px; text-align: left; vertical-align: top; }
+  thead th { border-bottom: 2px solid #222; font-size: 12px; }
+  tbody td { border-bottom: 1px solid #ddd; }
+  .num { text-align: right; white-space: nowrap; }
+  .check { width: 40px; border: 1px solid #999; }
+  .totals { width: 280px; margin: 16px 0 0 auto; }
+  .grand td { border-top: 2px solid #222; font-weight: bold; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+  <div class="row">
+    <div><h1>${escapeHtml(doc.title)}</h1><strong>${escapeHtml(doc.seller.name)}</strong>${lines(doc.seller.lines)}</div>
+    <table style="width:auto">${meta.map(([k, v]) => `<tr><td class="muted">${escapeHtml(k)}</td><td>${escapeHtml(v)}</td></tr>`).join("")}</table>
+  </div>
+  <div class="row">
+    ${priced ? `<div><h3>Bill to</h3>${lines(doc.customer)}</div>` : ""}
+    <div><h3>Ship to</h3>${doc.shipTo.length ? lines(doc.shipTo) : lines(doc.customer)}</div>
+  </div>
+  <table>
+    <thead><tr><th>Item</th><th class="num">Qty</th>${priced ? `<th class="num">Unit price</th><th class="num">Amount</th>` : `<th>Packed</th>`}</tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+  ${totals}
+</body>
+</html>`;
+}
+
+// Advance widths of Helvetica for ASCII 32–126, in 1/1000 em (from the standard AFM)
+const HELVETICA_WIDTHS = (
+  "278,278,355,556,556,889,667,191,333,333,389,584,278,333,278,278,556,556,556,556,556,556,556,556,556,556," +
+  "278,278,584,584,584,556,1015,667,667,722,722,667,611,778,722,278,500,667,556,833,722,778,667,778,722,667," +
+  "611,722,667,944,667,667,611,278,278,278,469,556,333,556,556,500,556,556,278,556,556,222,222,500,222,833," +
+  "556,556,556,556,333,500,278,556,500,722,500,500,500,334,260,334,584"
+)
+  .split(",")
+  .map(Number);
+
+// The built-in PDF fonts only cover WinAnsi, so anything else is approximated or replaced with "?"
+const pdfText = (value) =>
+  String(value ?? "")
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/·/g, "-")
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+
+// Bold is a little wider than regular Helvetica; 5% covers it for layout purposes
+const textWidth = (text, size, bold = false) =>
+  ([...text].reduce((sum, c) => sum + (HELVETICA_WIDTHS[c.charCodeAt(0) - 32] || 556), 0) * size * (bold ? 1.05 : 1)) / 1000;
+
+function fitText(text, size, maxWidth, bold = false) {
+  if (textWidth(text, size, bold) <= maxWidth) return text;
+  let cut = text;
+  while (cut.length > 1 && textWidth(`${cut}...`, size, bold) > maxWidth) cut = cut.slice(0, -1);
+  return `${cut}...`;
+}
+
+const PDF_PAGE = { width: 595, height: 842, margin: 50 }; // A4 in points
+
+// Minimal PDF writer: A4 pages, Helvetica and Helvetica-Bold, text and horizontal rules.
+// `y` is the current baseline, moving down the page; `ensure` starts a new page when needed.
+function createPdf() {
+  const pages = [[]];
+  let y = PDF_PAGE.height - PDF_PAGE.margin;
+
+  const pdf = {
+    get y() {
+      return y;
+    },
+    down(height) {
+      y -= height;
+    },
+    ensure(height) {
+      if (y - height >= PDF_PAGE.margin) return;
+      pages.push([]);
+      y = PDF_PAGE.height - PDF_PAGE.margin;
+    },
+    // align "right" treats x as the right edge; maxWidth truncates with "..."
+    text(x, value, { size = 10, bold = false, align = "left", maxWidth = null, gray = false } = {}) {
+      let text = pdfText(value);
+      if (maxWidth) text = fitText(text, size, maxWidth, bold);
+      const left = align === "right" ? x - textWidth(text, size, bold) : x;
+      const escaped = text.replace(/[\\()]/g, (c) => `\\${c}`);
+      const color = gray ? "0.45 g" : "0 g";
+      pages[pages.length - 1].push(`BT ${color} /${bold ? "F2" : "F1"} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td (${escaped}) Tj ET`);
+    },
+    rule(weight = 0.5) {
+      const { margin, width } = PDF_PAGE;
+      pages[pages.length - 1].push(`${weight} w ${margin} ${y.toFixed(2)} m ${width - margin} ${y.toFixed(2)} l S`);
+    },
+    toBuffer() {
+      const objects = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        null, // page tree, filled in once page object numbers are known
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+      ];
+      const kids = [];
+      for (const ops of pages) {
+        const content = ops.join("\n");
+        objects.push(`<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`);
+        const contentRef = objects.length;
+        objects.push(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentRef} 0 R >>`
+        );
+        kids.push(`${objects.length} 0 R`);
+      }
+      objects[1] = `<< /Type /Pages /Kids [${kids.join(" ")}] /Count ${kids.length} >>`;
+
+      let body = "%PDF-1.4\n";
+      const offsets = objects.map((object, i) => {
+        const offset = Buffer.byteLength(body, "latin1");
+        body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+      });
+      const xref = Buffer.byteLength(body, "latin1");
+      body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      body += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+      body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(body, "latin1");
+    },
+  };
+  return pdf;
+}
+
+function documentPdf(doc) {
+  const priced = doc.kind === "invoice";
+  const { margin, width } = PDF_PAGE;
+  const right = width - margin;
+  const pdf = createPdf();
+
+  // Header: title and seller on the left, document details on the right
+  pdf.text(margin, doc.title, { size: 22, bold: true });
+  const meta = [
+    doc.number && ["Invoice no.", doc.number],
+    doc.issuedAt && ["Issued", formatDate(doc.issuedAt)],
+    ["Order", doc.orderId],
+    ["Order date", formatDate(doc.orderDate)],
+    priced && doc.payment && ["Payment", doc.payment],
+    !priced && doc.tracking && ["Tracking", doc.tracking],
+  ].filter(Boolean);
+  const top = pdf.y;
+  for (const [label, value] of meta) {
+    pdf.text(right - 180, label, { size: 9, gray: true });
+    pdf.text(right, value, { size: 9, align: "right", maxWidth: 120 });
+    pdf.down(13);
+  }
+  const metaBottom = pdf.y;
+  pdf.down(pdf.y - top + 24); // back up to just below the title
+  pdf.text(margin, doc.seller.name, { bold: true, maxWidth: 300 });
+  for (const line of doc.seller.lines) {
+    pdf.down(13);
+    pdf.text(margin, line, { size: 9, maxWidth: 300 });
+  }
+  pdf.down(Math.max(pdf.y - metaBottom, 0) + 30);
+
+  // Parties
+  const partiesTop = pdf.y;
+  const shipTo = doc.shipTo.length ? doc.shipTo : doc.customer;
+  const columns = priced ? [["BILL TO", doc.customer], ["SHIP TO", shipTo]] : [["SHIP TO", shipTo]];
+  let lowest = pdf.y;
+  columns.forEach(([heading, lines], i) => {
+    pdf.down(pdf.y - partiesTop);
+    const x = margin + i * 250;
+    pdf.text(x, heading, { size: 8, bold: true, gray: true });
+    for (const line of lines) {
+      pdf.down(13);
+      pdf.text(x, line, { size: 10, maxWidth: 230 });
+    }
+    lowest = Math.min(lowest, pdf.y);
+  });
+  pdf.down(pdf.y - lowest + 30);
+
+  // Items table
+  const qtyX = priced ? right - 200 : right - 60;
+  const header = () => {
+    pdf.text(margin, "Item", { size: 9, bold: true });
+    pdf.text(qtyX, "Qty", { size: 9, bold: true, align: "right" });
+    if (priced) {
+      pdf.text(right - 90, "Unit price", { size: 9, bold: true, align: "right" });
+      pdf.text(right, "Amount", { size: 9, bold: true, align: "right" });
+    } else {
+      pdf.text(right, "Packed", { size: 9, bold: true, align: "right" });
+    }
+    pdf.down(6);
+    pdf.rule(1);
+    pdf.down(16);
+  };
+  header();
+  for (const item of doc.items) {
+    const rowHeight = item.detail ? 30 : 20;
+    if (pdf.y - rowHeight < margin) {
+      pdf.ensure(rowHeight + 40);
+      header();
+    }
+    pdf.text(margin, item.title, { maxWidth: qtyX - margin - 40 });
+    pdf.text(qtyX, item.quantity, { align: "right" });
+    if (priced) {
+      pdf.text(right - 90, formatMoney(item.unitPrice), { align: "right" });
+      pdf.text(right, formatMoney(item.lineTotal), { align: "right" });
+    } else {
+      pdf.text(right, "[   ]", { align: "right" });
+    }
+    if (item.detail) {
+      pdf.down(12);
+      pdf.text(margin, item.detail, { size: 8, gray: true, maxWidth: qtyX - margin - 40 });
+    }
+    pdf.down(8);
+    pdf.rule(0.25);
+    pdf.down(14);
+  }
+
+  // Totals
+  if (priced) {
+    pdf.ensure((doc.totals.length + 2) * 16);
+    pdf.down(4);
+    for (const [label, amount] of doc.totals) {
+      pdf.text(right - 200, label, { maxWidth: 110 });
+      pdf.text(right, formatMoney(amount), { align: "right" });
+      pdf.down(16);
+    }
+    pdf.text(right - 200, `Total (${doc.currency})`, { bold: true });
+    pdf.text(right, formatMoney(doc.total), { bold: true, align: "right" });
+  }
+
+  return pdf.toBuffer();
+}
+
+// Loads what a document needs and checks access; responds and returns null on failure
+async function loadOrderDocument(req, res, kind) {
+  const { id, subOrderId } = req.params;
+  const order = await Order.findById(id);
+  if (!order) {
+    res.status(404).json({ success: false, message: "Order not found" });
+    return null;
+  }
+  const subOrder = order.subOrders.id(subOrderId);
+  if (!subOrder) {
+    res.status(404).json({ success: false, message: "Sub-order not found" });
+    return null;
+  }
+
+  // Customers get their invoice; packing slips are for the merchant and admins
+  const actor = orderActor(order, subOrder, req.user);
+  const allowed = kind === "invoice" ? ["admin", "merchant", "customer"] : ["admin", "merchant"];
+  if (!allowed.includes(actor)) {
+    res.status(403).json({ success: false, message: "Not authorized" });
+    return null;
+  }
+
+  // Nothing to document until the merchant accepts the order; a cancelled one keeps its invoice if it had one
+  const issued = Boolean(subOrder.invoice?.number);
+  const open = ["confirmed", "shipped", "delivered"].includes(subOrder.status);
+  if (kind === "invoice" ? !open && !issued : !open) {
+    res.status(400).json({ success: false, message: `No ${kind.replace("-", " ")} for a ${subOrder.status} order` });
+    return null;
+  }
+
+  const [merchant, customer] = await Promise.all([
+    User.findById(subOrder.merchantId).select("name email phone shopDetails contactVisibility"),
+    User.findById(order.orderedBy).select("name email phone"),
+  ]);
+  if (!merchant) {
+    res.status(404).json({ success: false, message: "Merchant not found" });
+    return null;
+  }
+  // The merchant's email and phone show only to viewers their contactVisibility allows
+  return { order, subOrder, merchant: shapeMerchantContact(merchant, req.user), customer };
+}
+
+function sendDocument(res, doc, format, filename) {
+  if (format === "pdf") {
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `inline; filename="${filename}.pdf"`);
+    return res.send(documentPdf(doc));
+  }
+  res.type("html").send(documentHtml(doc));
+}
+
+// Invoice for one merchant's slice (?format=html|pdf). The number is issued on first request.
+app.get(
+  "/api/v1/orders/:id/sub-orders/:subOrderId/invoice",
+  requireAuth,
+  validate(subOrderParams, "params"),
+  validate(documentQuery, "query"),
+  async (req, res) => {
+    try {
+      const loaded = await loadOrderDocument(req, res, "invoice");
+      if (!loaded) return;
+
+      const number = await issueInvoice(loaded.order, loaded.subOrder, loaded.merchant);
+      if (!number) return res.status(409).json({ success: false, message: "Invoice is being issued, please retry" });
+
+      sendDocument(res, documentModel("invoice", { ...loaded, number }), req.query.format, number);
+    } catch (err) {
+      console.error("Invoice error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+// Packing slip: items, quantities and the delivery address, no prices (?format=html|pdf)
+app.get(
+  "/api/v1/orders/:id/sub-orders/:subOrderId/packing-slip",
+  requireAuth,
+  validate(subOrderParams, "params"),
+  validate(documentQuery, "query"),
+  async (req, res) => {
+    try {
+      const loaded = await loadOrderDocument(req, res, "packing-slip");
+      if (!loaded) return;
+
+      const doc = documentModel("packing-slip", { ...loaded, number: null });
+      sendDocument(res, doc, req.query.format, `packing-slip-${loaded.subOrder._id}`);
+    } catch (err) {
+      console.error("Packing slip error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+// ---------------------------
+// Cart & Checkout Routes
+// ---------------------------
+const CartSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    items: [
+      {
+        _id: false,
+        productId: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+        variantId: { type: Schema.Types.ObjectId, default: null },
+        quantity: { type: Number, required: true, min: 1 },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+const Cart = model("Cart", CartSchema);
+
+const getOrCreateCart = (userId) =>
+  Cart.findOneAndUpdate({ userId }, { $setOnInsert: { userId, items: [] } }, { new: true, upsert: true });
+
+// Prices the cart against current product data (including running sales) so the client
+// always sees server prices. Coupons are only applied at checkout (see /api/v1/coupons/preview).
+async function cartView(cart, viewer) {
+  const products = await Product.find({ _id: { $in: cart.items.map((i) => i.productId) } });
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const items = cart.items.map((item) => {
+    const product = byId.get(item.productId.toString());
+    const variant = product && item.variantId ? product.variants.id(item.variantId) : null;
+    const source = item.variantId ? variant : product; // where price and stock come from
+    return {
+      productId: item.productId,
+      variantId: item.variantId || null,
+      variantLabel: variant ? variantLabel(variant) : null,
+      quantity: item.quantity,
+      addedAt: item.addedAt,
+      product: product ? shapeProduct(product, viewer) : null,
+      unitPrice: source ? currentUnitPrice(product, variant) : null,
+      lineTotal: source ? currentUnitPrice(product, variant) * item.quantity : null,
+      available: source ? source.quantity >= item.quantity : false,
+    };
+  });
+  const subtotal = items.reduce((sum, i) => sum + (i.lineTotal || 0), 0);
+
+  return { _id: cart._id, items, subtotal, updatedAt: cart.updatedAt };
+}
+
+// Cart lines are one per product, or one per variant of a product with variants
+const sameCartLine = (item, productId, variantId = null) =>
+  item.productId.toString() === productId.toString() && (item.variantId?.toString() || null) === (variantId?.toString() || null);
+
+// Get my cart
+app.get("/api/v1/cart", requireAuth, async (req, res) => {
+  try {
+    const cart = await getOrCreateCart(req.user._id);
+    res.json({ success: true, cart: await cartView(cart, req.user) });
+  } catch (err) {
+    console.error("Get cart error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Add item to cart (increments if already present)
+app.post("/api/v1/cart/items", requireAuth, validate(cartItemSchema), async (req, res) => {
+  try {
+    const { productId, variantId, quantity } = req.body;
+
+    const product = await Product.findOne({ _id: productId, archivedAt: null });
+    if (!product) return res.status(404).json({ success: false, message: "Product not found" });
+    if (product.variants.length && !variantId)
+      return validationError(res, [{ path: "variantId", message: "Choose a variant" }]);
+    if (variantId && !product.variants.id(variantId))
+      return res.status(404).json({ success: false, message: "Variant not found" });
+
+    const cart = await getOrCreateCart(req.user._id);
+    const existing = cart.items.find((i) => sameCartLine(i, productId, variantId));
+    if (existing) existing.quantity += quantity;
+    else cart.items.push({ productId, variantId: variantId || null, quantity });
+    await cart.save();
+
+    res.json({ success: true, message: "Added to cart", cart: await cartView(cart, req.user) });
+  } catch (err) {
+    console.error("Add to cart error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Set quantity of a cart item (?variantId= for a variant line)
+app.patch(
+  "/api/v1/cart/items/:productId",
+  requireAuth,
+  validate(cartItemParams, "params"),
+  validate(variantQuery, "query"),
+  validate(cartQuantitySchema),
+  async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const { quantity } = req.body;
+
+      const cart = await getOrCreateCart(req.user._id);
+      const item = cart.items.find((i) => sameCartLine(i, productId, req.query.variantId));
+      if (!item) return res.status(404).json({ success: false, message: "Item not in cart" });
+
+      item.quantity = quantity;
+      await cart.save();
+
+      res.json({ success: true, message: "Cart updated", cart: await cartView(cart, req.user) });
+    } catch (err) {
+      console.error("Update cart error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+// Remove item from cart (?variantId= removes one variant line, otherwise every line of the product)
+app.delete("/api/v1/cart/items/:productId", requireAuth, validate(cartItemParams, "params"), validate(variantQuery, "query"), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { variantId } = req.query;
+    const cart = await getOrCreateCart(req.user._id);
+    cart.items = cart.items.filter((i) =>
+      variantId ? !sameCartLine(i, productId, variantId) : i.productId.toString() !== productId
+    );
+    await cart.save();
+
+    res.json({ success: true, message: "Item removed", cart: await cartView(cart, req.user) });
+  } catch (err) {
+    console.error("Remove cart item error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Clear cart
+app.delete("/api/v1/cart", requireAuth, async (req, res) => {
+  try {
+    await Cart.updateOne({ userId: req.user._id }, { $set: { items: [] } });
+    res.json({ success: true, message: "Cart cleared" });
+  } catch (err) {
+    console.error("Clear cart error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Checkout: price on the server, reserve stock, create the order, empty the cart.
+// Either every line is reserved or none is.
+app.post("/api/v1/cart/checkout", requireAuth, validate(checkoutSchema), async (req, res) => {
+  try {
+    const cart = await getOrCreateCart(req.user._id);
+    if (!cart.items.length) return res.status(400).json({ success: false, message: "Cart is empty" });
+
+    const result = await placeOrder(req.user, cart.items, req.body);
+    if (!result.ok) {
+      return res.status(result.status || 409).json({ success: false, message: "Checkout failed", details: result.problems });
+    }
+
+    cart.items = [];
+    await cart.save();
+
+    res.status(201).json({ success: true, message: "Checkout complete", order: result.order });
+  } catch (err) {
+    console.error("Checkout error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ---------------------------
+// Coupons
+// ---------------------------
+// Platform coupons (merchantId null) are created by admins and discount any product;
+// merchant coupons only discount that merchant's products. Either may be narrowed to
+// categories and/or products. Usage is counted when an order is placed and handed
+// back if the whole order is cancelled.
+const CouponSchema = new Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String, default: null },
+    merchantId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    type: { type: String, enum: ["percent", "fixed"], required: true },
+    value: { type: Number, required: true, min: 0 },
+    maxDiscount: { type: Number, default: null },
+    minSpend: { type: Number, default: 0 }, // on the items the coupon covers
+    categoryIds: [{ type: Schema.Types.ObjectId, ref: "Category" }],
+    productIds: [{ type: Schema.Types.ObjectId, ref: "Product" }],
+    startsAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, default: null },
+    usageLimit: { type: Number, default: null },
+    perUserLimit: { type: Number, default: 1 },
+    usedCount: { type: Number, default: 0 },
+    active: { type: Boolean, default: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+CouponSchema.index({ merchantId: 1, createdAt: -1 });
+
+const Coupon = model("Coupon", CouponSchema);
+
+const CouponRedemptionSchema = new Schema(
+  {
+    couponId: { type: Schema.Types.ObjectId, ref: "Coupon", required: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    orderId: { type: Schema.Types.ObjectId, ref: "Order", required: true },
+    discount: { type: Number, required: true },
+    releasedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+CouponRedemptionSchema.index({ couponId: 1, userId: 1 });
+
+const CouponRedemption = model("CouponRedemption", CouponRedemptionSchema);
+
+// How many live uses of a coupon a customer holds, so perUserLimit is enforced by one conditional update
+const CouponUsageSchema = new Schema(
+  {
+    couponId: { type: Schema.Types.ObjectId, ref: "Coupon", required: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    count: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: true }
+);
+
+CouponUsageSchema.index({ couponId: 1, userId: 1 }, { unique: true });
+
+const CouponUsage = model("CouponUsage", CouponUsageSchema);
+
+const canManageCoupons = (user) => user.role === "admin" || (user.role === "merchant" && user.status === "active");
+
+// Whether the coupon discounts `product`; `categoryIds` is the coupon's categories plus their subcategories
+function couponCovers(coupon, product, categoryIds) {
+  if (coupon.merchantId && coupon.merchantId.toString() !== product.merchantId.toString()) return false;
+  if (coupon.categoryIds.length && !categoryIds.has(product.categoryId?.toString())) return false;
+  if (coupon.productIds.length && !coupon.productIds.some((id) => id.toString() === product._id.toString())) return false;
+  return true;
+}
+
+// Works out what `code` takes off priced lines (see priceLines) for `user`.
+// Returns { coupon, discount, eligibleSubtotal, allocations } where allocations[i] is
+// line i's share of the discount, or { error } when the coupon cannot be used.
+async function quoteCoupon(code, lines, user, now = new Date()) {
+  const coupon = await Coupon.findOne({ code: code.toUpperCase() });
+  if (!coupon || !coupon.active) return { error: "Coupon not found" };
+  if (coupon.startsAt > now) return { error: "Coupon is not active yet" };
+  if (coupon.expiresAt && coupon.expiresAt <= now) return { error: "Coupon has expired" };
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) return { error: "Coupon has been fully redeemed" };
+
+  const usedByUser = await CouponRedemption.countDocuments({ couponId: coupon._id, userId: user._id, releasedAt: null });
+  if (usedByUser >= coupon.perUserLimit) return { error: "You have already used this coupon" };
+
+  const categoryIds = new Set((await Promise.all(coupon.categoryIds.map(categoryWithDescendants))).flat().map(String));
+  const eligible = lines.map((line, i) => ({ line, i })).filter(({ line }) => couponCovers(coupon, line.product, categoryIds));
+  if (!eligible.length) return { error: "Coupon does not apply to these items" };
+  const eligibleSubtotal = roundMoney(eligible.reduce((sum, { line }) => sum + line.totalPrice, 0));
+  if (eligibleSubtotal < coupon.minSpend) return { error: `Spend at least ${coupon.minSpend} on eligible items` };
+
+  let discount =
+    coupon.type === "percent" ? (eligibleSubtotal * coupon.value) / 100 : Math.min(coupon.value, eligibleSubtotal);
+  if (coupon.type === "percent" && coupon.maxDiscount !== null) discount = Math.min(discount, coupon.maxDiscount);
+  discount = roundMoney(discount);
+
+  // Split across eligible lines by value; the last line absorbs rounding
+  const allocations = lines.map(() => 0);
+  let allocated = 0;
+  eligible.forEach(({ line, i }, n) => {
+    const share = n === eligible.length - 1 ? roundMoney(discount - allocated) : roundMoney((discount * line.totalPrice) / eligibleSubtotal);
+    allocations[i] = share;
+    allocated = roundMoney(allocated + share);
+  });
+
+  return { coupon, discount, eligibleSubtotal, allocations };
+}
+
+// Takes one of the user's uses of the coupon unless perUserLimit is reached. A customer's first claim
+// starts their counter from the redemptions they made before counters existed.
+async function claimCouponUse(coupon, userId) {
+  const take = () =>
+    CouponUsage.findOneAndUpdate({ couponId: coupon._id, userId, count: { $lt: coupon.perUserLimit } }, { $inc: { count: 1 } });
+  if (await take()) return true;
+  if (await CouponUsage.exists({ couponId: coupon._id, userId })) return false;
+
+  const count = await CouponRedemption.countDocuments({ couponId: coupon._id, userId, releasedAt: null });
+  try {
+    await CouponUsage.create({ couponId: coupon._id, userId, count });
+  } catch (err) {
+    if (err.code !== 11000) throw err; // a parallel checkout started it first
+  }
+  return !!(await take());
+}
+
+const releaseCouponUse = (couponId, userId) =>
+  CouponUsage.updateOne({ couponId, userId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+
+// Takes one use of the coupon for the user unless their limit or the total limit is reached.
+// Returns null when claimed, otherwise why it could not be.
+async function claimCoupon(coupon, userId) {
+  if (!(await claimCouponUse(coupon, userId))) return "You have already used this coupon";
+  const claimed = await Coupon.findOneAndUpdate(
+    { _id: coupon._id, active: true, $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }] },
+    { $inc: { usedCount: 1 } }
+  );
+  if (claimed) return null;
+  await releaseCouponUse(coupon._id, userId);
+  return "Coupon has been fully redeemed";
+}
+
+async function releaseCouponClaim(couponId, userId) {
+  await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  await releaseCouponUse(couponId, userId);
+}
+
+const couponSnapshot = ({ coupon, discount }) => ({
+  couponId: coupon._id,
+  code: coupon.code,
+  type: coupon.type,
+  value: coupon.value,
+  fundedBy: coupon.merchantId ? "merchant" : "platform",
+  merchantId: coupon.merchantId,
+  discount,
+});
+
+// Hands the coupon use back once every sub-order of the order is cancelled (at most once)
+async function releaseOrderCoupon(order) {
+  if (order.status !== "cancelled" || !order.coupon?.couponId || order.coupon.releasedAt) return;
+  const now = new Date();
+  const result = await Order.updateOne({ _id: order._id, "coupon.releasedAt": null }, { $set: { "coupon.releasedAt": now } });
+  if (!result.modifiedCount) return;
+  await releaseCouponClaim(order.coupon.couponId, order.orderedBy);
+  await CouponRedemption.updateOne({ couponId: order.coupon.couponId, orderId: order._id }, { $set: { releasedAt: now } });
+}
+
+// Loads a coupon the current user may manage; responds and returns null otherwise
+async function findManagedCoupon(req, res) {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon || (req.user.role !== "admin" && coupon.merchantId?.toString() !== req.user._id.toString())) {
+    res.status(404).json({ success: false, message: "Coupon not found" });
+    return null;
+  }
+  return coupon;
+}
+
+// Merchant coupons may only target the merchant's own products. Returns an issue or null.
+async function checkCouponProducts(merchantId, productIds = []) {
+  if (!merchantId || !productIds.length) return null;
+  const owned = await Product.countDocuments({ _id: { $in: productIds }, merchantId });
+  return owned === new Set(productIds).size ? null : { path: "productIds", message: "You can only target your own products" };
+}
+
+// Create a coupon: admins create platform coupons, merchants create coupons for their own products
+app.post("/api/v1/coupons", requireAuth, validate(couponSchema), async (req, res) => {
+  try {
+    if (!canManageCoupons(req.user)) return res.status(403).json({ success: false, message: "Not authorized" });
+    const merchantId = req.user.role === "merchant" ? req.user._id : null;
+
+    const issue = await checkCouponProducts(merchantId, req.body.productIds);
+    if (issue) return validationError(res, [issue]);
+    if (req.body.expiresAt && req.body.expiresAt <= (req.body.startsAt || new Date()))
+      return validationError(res, [{ path: "expiresAt", message: "expiresAt must be after startsAt" }]);
+
+    const coupon = await Coupon.create({ ...req.body, merchantId, createdBy: req.user._id });
+    res.status(201).json({ success: true, message: "Coupon created", coupon });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ success: false, message: "Coupon code already exists" });
+    console.error("Create coupon error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Admins see every coupon, merchants their own (?active=true|false)
+app.get("/api/v1/coupons", requireAuth, validate(couponsQuery, "query"), async (req, res) => {
+  try {
+    if (!canManageCoupons(req.user)) return res.status(403).json({ success: false, message: "Not authorized" });
+    const filter = req.user.role === "admin" ? {} : { merchantId: req.user._id };
+    if (req.query.active) filter.active = req.query.active === "true";
+
+    const data = await Coupon.find(filter).sort({ createdAt: -1 });
+    res.json({ success: true, count: data.length, data });
+  } catch (err) {
+    console.error("List coupons error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.patch("/api/v1/coupons/:id", requireAuth, validate(idParams, "params"), validate(couponUpdateSchema), async (req, res) => {
+  try {
+    if (!canManageCoupons(req.user)) return res.status(403).json({ success: false, message: "Not authorized" });
+    const coupon = await findManagedCoupon(req, res);
+    if (!coupon) return;
+
+    const issue = await checkCouponProducts(coupon.merchantId, req.body.productIds);
+    if (issue) return validationError(res, [issue]);
+
+    coupon.set(req.body);
+    if (coupon.type === "percent" && coupon.value > 100)
+      return validationError(res, [{ path: "value", message: "A percent discount cannot exceed 100" }]);
+    if (coupon.expiresAt && coupon.expiresAt <= coupon.startsAt)
+      return validationError(res, [{ path: "expiresAt", message: "expiresAt must be after startsAt" }]);
+    await coupon.save();
+
+    res.json({ success: true, message: "Coupon updated", coupon });
+  } catch (err) {
+    console.error("Update coupon error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Coupons are deactivated rather than removed so past orders keep their reference
+app.delete("/api/v1/coupons/:id", requireAuth, validate(idParams, "params"), async (req, res) => {
+  try {
+    if (!canManageCoupons(req.user)) return res.status(403).json({ success: false, message: "Not authorized" });
+    const coupon = await findManagedCoupon(req, res);
+    if (!coupon) return;
+
+    coupon.active = false;
+    await coupon.save();
+    res.json({ success: true, message: "Coupon deactivated", coupon });
+  } catch (err) {
+    console.error("Deactivate coupon error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// What a coupon would take off my current cart; nothing is reserved
+app.post("/api/v1/coupons/preview", requireAuth, validate(couponPreviewSchema), async (req, res) => {
+  try {
+    const cart = await getOrCreateCart(req.user._id);
+    const { lines } = await priceLines(cart.items);
+    if (!lines.length) return res.status(400).json({ success: false, message: "Cart is empty" });
+
+    const quote = await quoteCoupon(req.body.code, lines, req.user);
+    if (quote.error) return res.status(400).json({ success: false, message: quote.error });
+
+    const subtotal = roundMoney(lines.reduce((sum, l) => sum + l.totalPrice, 0));
+    res.json({
+      success: true,
+      code: quote.coupon.code,
+      subtotal,
+      eligibleSubtotal: quote.eligibleSubtotal,
+      discount: quote.discount,
+      total: roundMoney(subtotal - quote.discount),
+    });
+  } catch (err) {
+    console.error("Coupon preview error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ---------------------------
+// Commission & Payouts
+// ---------------------------
+// Commission rates (percent) by scope; the most specific rule wins:
+// merchant, then category (nearest ancestor), then global, then DEFAULT_COMMISSION_RATE.
+const CommissionRuleSchema = new Schema(
+  {
+    scope: { type: String, enum: ["global", "category", "merchant"], required: true },
+    categoryId: { type: Schema.Types.ObjectId, ref: "Category", default: null },
+    merchantId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    rate: { type: Number, required: true, min: 0, max: 100 },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+CommissionRuleSchema.index({ scope: 1, categoryId: 1, merchantId: 1 }, { unique: true });
+
+const CommissionRule = model("CommissionRule", CommissionRuleSchema);
+
+// Append-only money ledger per merchant. A "sale" row is written once per delivered
+// sub-order (gross, commission, net); a "payout" row records money sent to the merchant
+// (negative net). The balance is the sum of `net`.
+const EarningsEntrySchema = new Schema(
+  {
+    merchantId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: ["sale", "payout"], required: true },
+    orderId: { type: Schema.Types.ObjectId, ref: "Order", default: null },
+    subOrderId: { type: Schema.Types.ObjectId, default: null },
+    payoutId: { type: Schema.Types.ObjectId, ref: "Payout", default: null },
+    gross: { type: Number, default: 0 }, // what the merchant sold for, after merchant-funded discounts
+    commission: { type: Number, default: 0 },
+    shipping: { type: Number, default: 0 }, // shipping fee passed on to the merchant who shipped; no commission
+    net: { type: Number, required: true },
+    lines: [
+      {
+        _id: false,
+        productId: { type: Schema.Types.ObjectId, ref: "Product" },
+        title: String,
+        gross: Number,
+        rate: Number,
+        commission: Number,
+      },
+    ],
+    sourceKey: { type: String, required: true, unique: true }, // makes each sale/payout record idempotent
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+EarningsEntrySchema.index({ merchantId: 1, createdAt: -1 });
+
+EarningsEntrySchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"], function () {
+  throw new Error("Earnings ledger is append-only");
+});
+
+const EarningsEntry = model("EarningsEntry", EarningsEntrySchema);
+
+const PayoutSchema = new Schema(
+  {
+    merchantId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    amount: { type: Number, required: true, min: 0 },
+    method: { type: String, default: null }, // e.g. "bank", "bkash"
+    reference: { type: String, default: null }, // transaction id on the payment side
+    note: { type: String, default: null },
+    recordedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+PayoutSchema.index({ merchantId: 1, createdAt: -1 });
+
+const Payout = model("Payout", PayoutSchema);
+
+// Rate lookup for one merchant's items; rules are loaded once per call
+async function commissionRateResolver(merchantId) {
+  const rules = await CommissionRule.find({
+    $or: [{ scope: "global" }, { scope: "category" }, { scope: "merchant", merchantId }],
+  });
+  const merchantRule = rules.find((r) => r.scope === "merchant");
+  const globalRule = rules.find((r) => r.scope === "global");
+  const byCategory = new Map(rules.filter((r) => r.scope === "category").map((r) => [r.categoryId.toString(), r.rate]));
+  // A category rule also covers its subcategories, so walk up the parent chain
+  const parentOf = byCategory.size
+    ? new Map((await Category.find().select("parent")).map((c) => [c._id.toString(), c.parent?.toString() || null]))
+    : new Map();
+
+  return (categoryId) => {
+    if (merchantRule) return merchantRule.rate;
+    const seen = new Set();
+    for (let id = categoryId?.toString(); id && !seen.has(id); id = parentOf.get(id)) {
+      if (byCategory.has(id)) return byCategory.get(id);
+      seen.add(id);
+    }
+    return globalRule ? globalRule.rate : DEFAULT_COMMISSION_RATE;
+  };
+}
+
+// Books a delivered sub-order into the merchant's ledger (once, however often it is called).
+// Platform-funded coupon discounts are paid by the platform, so the merchant earns the full line.
+// Failures are logged, never surfaced: the delivery itself has already been saved.
+async function recordSaleEarnings(order, subOrder) {
+  try {
+    const rateFor = await commissionRateResolver(subOrder.merchantId);
+    const merchantFunded = order.coupon?.fundedBy === "merchant";
+
+    // Orders placed before categoryId was kept on items fall back to the product's category
+    const missing = subOrder.items.filter((i) => !i.categoryId).map((i) => i.productId);
+    const products = missing.length ? await Product.find({ _id: { $in: missing } }).select("categoryId") : [];
+    const categoryOf = new Map(products.map((p) => [p._id.toString(), p.categoryId]));
+
+    const lines = subOrder.items.map((item) => {
+      const gross = roundMoney(item.lineTotal - (merchantFunded ? item.discount || 0 : 0));
+      const rate = rateFor(item.categoryId || categoryOf.get(item.productId.toString()));
+      return { productId: item.productId, title: item.title, gross, rate, commission: roundMoney((gross * rate) / 100) };
+    });
+    const gross = roundMoney(lines.reduce((sum, l) => sum + l.gross, 0));
+    const commission = roundMoney(lines.reduce((sum, l) => sum + l.commission, 0));
+    const shipping = subOrder.shippingFee || 0;
+    const net = roundMoney(gross - commission + shipping);
+
+    await EarningsEntry.create({
+      merchantId: subOrder.merchantId,
+      type: "sale",
+      orderId: order._id,
+      subOrderId: subOrder._id,
+      gross,
+      commission,
+      shipping,
+      net,
+      lines,
+      sourceKey: `sale:${subOrder._id}`,
+    });
+  } catch (err) {
+    if (err.code === 11000) return; // already booked
+    console.error("Sale earnings error:", err.message);
+  }
+}
+
+// Balance and lifetime totals are summed from the ledger, so they can never drift from it
+const EARNINGS_TOTALS = {
+  balance: { $sum: "$net" },
+  totalGross: { $sum: "$gross" },
+  totalCommission: { $sum: "$commission" },
+  totalNet: { $sum: { $cond: [{ $eq: ["$type", "sale"] }, "$net", 0] } },
+  totalPaidOut: { $sum: { $cond: [{ $eq: ["$type", "payout"] }, { $multiply: ["$net", -1] }, 0] } },
+};
+
+const roundTotals = (row) =>
+  Object.fromEntries(Object.keys(EARNINGS_TOTALS).map((key) => [key, roundMoney(row?.[key] || 0)]));
+
+const earningsSummary = async (merchantId) => {
+  const [row] = await EarningsEntry.aggregate([
+    { $match: { merchantId: new mongoose.Types.ObjectId(String(merchantId)) } },
+    { $group: { _id: null, ...EARNINGS_TOTALS } },
+  ]);
+  return { merchantId, ...roundTotals(row) };
+};
+
+// Ledger rows in [from, to] with the balance before and after the period
+async function earningsStatement(merchantId, { from, to, page, limit }) {
+  const merchant = new mongoose.Types.ObjectId(String(merchantId));
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  const filter = { merchantId: merchant, ...(from || to ? { createdAt: range } : {}) };
+
+  const sumNet = async (match) => {
+    const [row] = await EarningsEntry.aggregate([{ $match: match }, { $group: { _id: null, net: { $sum: "$net" } } }]);
+    return roundMoney(row?.net || 0);
+  };
+  const [data, total, openingBalance, periodNet] = await Promise.all([
+    EarningsEntry.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    EarningsEntry.countDocuments(filter),
+    from ? sumNet({ merchantId: merchant, createdAt: { $lt: from } }) : 0,
+    sumNet(filter),
+  ]);
+
+  return {
+    openingBalance,
+    closingBalance: roundMoney(openingBalance + periodNet),
+    data,
+    total,
+    page,
+    limit,
+    pages: Math.ceil(total / limit),
+  };
+}
+
+// Commission rules (admin only)
+app.get("/api/v1/admin/commission-rules", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const rules = await CommissionRule.find()
+      .sort({ scope: 1, createdAt: 1 })
+      .populate("categoryId", "name slug")
+      .populate("merchantId", "name email shopDetails.shopName");
+    res.json({ success: true, defaultRate: DEFAULT_COMMISSION_RATE, data: rules });
+  } catch (err) {
+    console.error("Commission rules error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Create or replace the rule for a scope (one global rule, one per category, one per merchant)
+app.put("/api/v1/admin/commission-rules", requireAuth, requireAdmin, validate(commissionRuleSchema), async (req, res) => {
+  try {
+    const { scope, rate } = req.body;
+    const categoryId = scope === "category" ? req.body.categoryId : null;
+    const merchantId = scope === "merchant" ? req.body.merchantId : null;
+
+    if (categoryId && !(await Category.exists({ _id: categoryId })))
+      return validationError(res, [{ path: "categoryId", message: "Unknown category" }]);
+    if (merchantId && !(await User.exists({ _id: merchantId, role: "merchant" })))
+      return validationError(res, [{ path: "merchantId", message: "Unknown merchant" }]);
+
+    const rule = await CommissionRule.findOneAndUpdate(
+      { scope, categoryId, merchantId },
+      { $set: { rate, updatedBy: req.user._id } },
+      { new: true, upsert: true }
+    );
+    res.json({ success: true, message: "Commission rule saved", rule });
+  } catch (err) {
+    console.error("Save commission rule error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.delete("/api/v1/admin/commission-rules/:id", requireAuth, requireAdmin, validate(idParams, "params"), async (req, res) => {
+  try {
+    const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+    if (!rule) return res.status(404).json({ success: false, message: "Rule not found" });
+    res.json({ success: true, message: "Commission rule removed" });
+  } catch (err) {
+    console.error("Delete commission rule error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// My balance and lifetime totals
+app.get("/api/v1/merchant/earnings", requireAuth, requireMerchant, async (req, res) => {
+  try {
+    res.json({ success: true, earnings: await earningsSummary(req.user._id) });
+  } catch (err) {
+    console.error("Earnings error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// My ledger (?from=&to= dates, ?page=&limit=) with opening and closing balances
+app.get("/api/v1/merchant/statement", requireAuth, requireMerchant, validate(statementQuery, "query"), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await earningsStatement(req.user._id, req.query)) });
+  } catch (err) {
+    console.error("Statement error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Balances of every merchant, largest first (admin only)
+app.get("/api/v1/admin/merchant-balances", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const rows = await EarningsEntry.aggregate([
+      { $group: { _id: "$merchantId", ...EARNINGS_TOTALS } },
+      { $sort: { balance: -1 } },
+    ]);
+    const data = await EarningsEntry.populate(
+      rows.map((row) => ({ merchantId: row._id, ...roundTotals(row) })),
+      { path: "merchantId", select: "name email shopDetails.shopName" }
+    );
+    res.json({ success: true, count: data.length, data });
+  } catch (err) {
+    console.error("Merchant balances error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.get("/api/v1/admin/merchants/:id/earnings", requireAuth, requireAdmin, validate(idParams, "params"), async (req, res) => {
+  try {
+    res.json({ success: true, earnings: await earningsSummary(req.params.id) });
   } catch (err) {
-    console.error('Error fetching merchant:', err);
-    res.status(500).json({ message: 'Server Error' });
+    console.error("Earnings error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
-})
+});
+
+app.get(
+  "/api/v1/admin/merchants/:id/statement",
+  requireAuth,
+  requireAdmin,
+  validate(idParams, "params"),
+  validate(statementQuery, "query"),
+  async (req, res) => {
+    try {
+      res.json({ success: true, ...(await earningsStatement(req.params.id, req.query)) });
+    } catch (err) {
+      console.error("Statement error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
 
-// Public Products
-app.get("/api/v1/products/public", async (req, res) => {
+// Record money sent to a merchant; refused if it exceeds their balance
+app.post("/api/v1/admin/payouts", requireAuth, requireAdmin, validate(payoutSchema), async (req, res) => {
   try {
-    const products = await Product.find();
-    res.json(products);
+    const { merchantId, method, reference, note } = req.body;
+    const amount = roundMoney(req.body.amount);
+
+    // Payouts are numbered per merchant. The count is read before the balance, so two payouts
+    // racing on the same balance claim the same number and the ledger's unique key refuses one.
+    const number = (await EarningsEntry.countDocuments({ merchantId, type: "payout", net: { $lt: 0 } })) + 1;
+    const { balance } = await earningsSummary(merchantId);
+    if (amount > balance) return res.status(409).json({ success: false, message: "Payout exceeds the merchant's balance" });
+
+    const payoutId = new mongoose.Types.ObjectId();
+    try {
+      await EarningsEntry.create({ merchantId, type: "payout", payoutId, net: -amount, sourceKey: `payout:${merchantId}:${number}` });
+    } catch (err) {
+      if (err.code === 11000)
+        return res.status(409).json({ success: false, message: "Another payout was recorded meanwhile, please retry" });
+      throw err;
+    }
+
+    let payout;
+    try {
+      payout = await Payout.create({ _id: payoutId, merchantId, amount, method, reference, note, recordedBy: req.user._id });
+    } catch (err) {
+      // The ledger is append-only, so the entry is voided by its opposite
+      await EarningsEntry.create({ merchantId, type: "payout", payoutId, net: amount, sourceKey: `payout-void:${payoutId}` });
+      throw err;
+    }
+    await notify(merchantId, {
+      type: "payout",
+      title: "Payout sent",
+      message: `${amount} has been paid out to you.`,
+      data: { payoutId },
+    });
+
+    res.status(201).json({ success: true, message: "Payout recorded", payout, balance: roundMoney(balance - amount) });
   } catch (err) {
-    console.error("Error fetching public products:", err);
-    res.status(500).json({ message: "Failed to fetch products" });
+    console.error("Payout error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-app.get("/api/v1/products/:id", async (req, res) => {
+// Payout history (?merchantId=, ?page=, ?limit=)
+app.get("/api/v1/admin/payouts", requireAuth, requireAdmin, validate(payoutsQuery, "query"), async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const { merchantId, page, limit } = req.query;
+    const filter = merchantId ? { merchantId } : {};
+
+    const [data, total] = await Promise.all([
+      Payout.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("merchantId", "name email shopDetails.shopName")
+        .populate("recordedBy", "name email"),
+      Payout.countDocuments(filter),
+    ]);
+    res.json({ success: true, data, total, page, limit, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error("Payout history error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
 
-    if (!product) return res.status(404).json({ message: "Product not found" });
+// ---------------------------
+// Payments
+// ---------------------------
+// A gateway provider implements:
+//   createIntent({ orderId, amount, currency }) -> { intentId, checkoutUrl }
+//   refund({ intentId, amount, currency })      -> { refundId, settle? }
+//     settle(), if given, is awaited once the refund is stored on the order (the mock reports its result then)
+//   parseWebhook(req) -> { id, type, data: { intentId, refundId?, amount?, reason? } } or null if the signature is bad
+// Event types: payment.succeeded, payment.failed, refund.succeeded, refund.failed.
+
+// Stripe-style signature header: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.`).update(payload).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
 
-    // Fetch merchant manually
-    const merchant = await User.findById(product.merchantId).select(
-      "name email phone photoURL shopDetails role status"
-    );
+// Rejects bad signatures and anything older than five minutes (replays)
+function verifySignature(payload, header, secret, toleranceSeconds = 300) {
+  if (!payload || !header) return false;
+  const parts = Object.fromEntries(String(header).split(",").map((part) => part.trim().split("=")));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
 
-    // Create new object with addedByMerchant
-    const productWithMerchant = {
-      ...product.toObject(),
-      addedByMerchant: merchant || null, // null if not found
-    };
+  const expected = Buffer.from(signPayload(payload, secret, timestamp).split("v1=")[1]);
+  const given = Buffer.from(parts.v1);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
 
-    res.json(productWithMerchant);
+// Sends a signed event to our own webhook, the way a real gateway would. Returns the HTTP status.
+async function deliverMockEvent(type, data) {
+  const body = JSON.stringify({ id: `mock_evt_${crypto.randomBytes(12).toString("hex")}`, type, data });
+  const url = process.env.MOCK_PAYMENT_WEBHOOK_URL || `http://127.0.0.1:${PORT}/api/v1/payments/webhook/mock`;
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Mock-Signature": signPayload(body, MOCK_PAYMENT_SECRET) },
+      body,
+    });
+    return response.status;
   } catch (err) {
-    console.error("Error fetching product:", err);
-    res.status(500).json({ message: "Failed to fetch product" });
+    console.error("Mock webhook delivery error:", err.message);
+    return 502;
+  }
+}
+
+// Local stand-in for a card gateway: the customer "pays" through
+// POST /api/v1/payments/mock/:intentId/complete and refunds settle straight away.
+// Events are sent within the request, never from a timer, so it also works on serverless hosts.
+const mockGateway = {
+  async createIntent() {
+    const intentId = `mock_pi_${crypto.randomBytes(12).toString("hex")}`;
+    return { intentId, checkoutUrl: `/api/v1/payments/mock/${intentId}/complete` };
+  },
+  async refund({ intentId, amount }) {
+    const refundId = `mock_re_${crypto.randomBytes(12).toString("hex")}`;
+    return { refundId, settle: () => deliverMockEvent("refund.succeeded", { intentId, refundId, amount }) };
+  },
+  parseWebhook(req) {
+    if (!verifySignature(req.rawBody, req.get("X-Mock-Signature"), MOCK_PAYMENT_SECRET)) return null;
+    const { id, type, data } = req.body || {};
+    return id && type && data?.intentId ? { id, type, data } : null;
+  },
+};
+
+// Gateways customers may choose at checkout, by name ("cod" is always available)
+const PAYMENT_PROVIDERS = {
+  ...(MOCK_PAYMENT_SECRET ? { mock: mockGateway } : {}),
+};
+
+// Webhook events already handled, so a redelivered event is acknowledged without being applied twice
+const PaymentEventSchema = new Schema(
+  {
+    provider: { type: String, required: true },
+    eventId: { type: String, required: true },
+    type: { type: String, required: true },
+    intentId: { type: String, default: null },
+    outcome: { type: String, default: null }, // what processing did, for debugging
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+PaymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+const PaymentEvent = model("PaymentEvent", PaymentEventSchema);
+
+// What is left to refund: paid amount minus settled and in-flight refunds
+const refundableAmount = (payment) =>
+  roundMoney(payment.amount - payment.refunds.filter((r) => r.status !== "failed").reduce((sum, r) => sum + r.amount, 0));
+
+// Asks the provider to refund `amount` and records the pending refund. Provider errors are
+// recorded as a failed refund rather than thrown, so the cancellation that triggered it stands.
+async function requestRefund(order, amount, { reason, subOrderIds = [], by = null }) {
+  const payment = order.payment;
+  const refund = { amount, reason, subOrderIds, requestedBy: by, status: "pending" };
+  let settle = null;
+  try {
+    const result = await PAYMENT_PROVIDERS[payment.provider].refund({
+      intentId: payment.intentId,
+      amount,
+      currency: payment.currency,
+    });
+    refund.refundId = result.refundId;
+    settle = result.settle || null;
+  } catch (err) {
+    console.error("Refund error:", err.message);
+    Object.assign(refund, { status: "failed", failureReason: err.message, settledAt: new Date() });
+  }
+  // $push rather than save(): the webhook may be updating the same order
+  await Order.updateOne({ _id: order._id }, { $push: { "payment.refunds": refund } });
+  payment.refunds.push(refund); // so the caller's response shows it
+  if (settle) await settle();
+}
+
+// Settles the payment side of cancelled sub-orders: an unpaid intent is closed once the
+// whole order is cancelled, a paid one is refunded for the cancelled slices. Slices cancelled
+// while the payment was pending are refunded once it succeeds (see paymentSucceeded).
+async function refundCancelled(order, subOrders, user) {
+  const payment = order.payment;
+  if (!payment || payment.method !== "online") return;
+
+  if (payment.status === "pending") {
+    if (order.status !== "cancelled") return;
+    await Order.updateOne({ _id: order._id, "payment.status": "pending" }, { $set: { "payment.status": "cancelled" } });
+    payment.status = "cancelled";
+    return;
+  }
+  if (!["succeeded", "partially_refunded"].includes(payment.status) || !PAYMENT_PROVIDERS[payment.provider]) return;
+
+  const remaining = refundableAmount(payment);
+  const slices = roundMoney(subOrders.reduce((sum, s) => sum + s.total, 0));
+  // Refund everything left once the whole order is gone, so rounding never strands cents
+  const amount = order.status === "cancelled" ? remaining : Math.min(slices, remaining);
+  if (amount <= 0) return;
+
+  await requestRefund(order, amount, {
+    reason: "Order cancelled",
+    subOrderIds: subOrders.map((s) => s._id),
+    by: user?._id || null,
+  });
+}
+
+const PAID_STATUSES = ["succeeded", "partially_refunded", "refunded"];
+
+async function paymentSucceeded(order, event) {
+  const payment = order.payment;
+  if (PAID_STATUSES.includes(payment.status)) return "already paid";
+  if (event.data.amount != null && roundMoney(event.data.amount) !== payment.amount) {
+    console.error(`Payment amount mismatch on order ${order._id}: ${event.data.amount} vs ${payment.amount}`);
+    return "amount mismatch";
+  }
+
+  payment.status = "succeeded";
+  payment.paidAt = new Date();
+  payment.failedAt = null;
+  payment.failureReason = null;
+  const awaiting = order.subOrders.filter((s) => s.status === "awaiting_payment");
+  for (const subOrder of awaiting) systemTransition(order, subOrder, "pending", "Payment received");
+  await order.save();
+
+  // Paid after the customer cancelled: give the money straight back
+  if (order.status === "cancelled") {
+    await requestRefund(order, refundableAmount(payment), { reason: "Paid after the order was cancelled" });
+    return "refunded cancelled order";
+  }
+
+  // The customer cancelled part of the order before paying, but the intent was for the full total
+  const cancelledBeforePayment = order.subOrders.filter((s) => s.status === "cancelled");
+  if (cancelledBeforePayment.length) await refundCancelled(order, cancelledBeforePayment, null);
+
+  await notify(order.orderedBy, {
+    type: "payment",
+    title: "Payment received",
+    message: `We received ${payment.amount} ${payment.currency} for order ${order._id}.`,
+    data: { orderId: order._id },
+  });
+  await notifyNewOrder(order, awaiting);
+  return "paid";
+}
+
+// A failed payment cancels the order and puts its stock and coupon back
+async function paymentFailed(order, event) {
+  const payment = order.payment;
+  if (payment.status !== "pending") return `ignored (${payment.status})`;
+
+  payment.status = "failed";
+  payment.failedAt = new Date();
+  payment.failureReason = event.data.reason || null;
+  const awaiting = order.subOrders.filter((s) => s.status === "awaiting_payment");
+  for (const subOrder of awaiting) systemTransition(order, subOrder, "cancelled", "Payment failed");
+  await order.save();
+
+  await releaseStock(restockLines(awaiting), { reason: "cancellation", by: null, orderId: order._id, note: "Payment failed" });
+  await releaseOrderCoupon(order);
+  await notify(order.orderedBy, {
+    type: "payment",
+    title: "Payment failed",
+    message: `Payment for order ${order._id} failed${payment.failureReason ? `: ${payment.failureReason}` : ""}. The order was cancelled.`,
+    data: { orderId: order._id },
+  });
+  return "failed";
+}
+
+const paymentOverdue = (order, now = new Date()) =>
+  order.payment?.method === "online" &&
+  order.payment.status === "pending" &&
+  !!order.payment.expiresAt &&
+  order.payment.expiresAt <= now;
+
+// Cancels an online order whose payment window has passed, exactly as a failed payment would.
+// A payment that still arrives afterwards is refunded (see paymentSucceeded).
+async function expireOverduePayment(order) {
+  if (!paymentOverdue(order)) return false;
+  await paymentFailed(order, { data: { reason: "Payment window expired" } });
+  return true;
+}
+
+// Expires up to 100 overdue payments; returns how many. Run by the cron route, and reads of
+// an order's payment check lazily, so nothing depends on a long-running process.
+async function sweepOverduePayments() {
+  const overdue = await Order.find({ "payment.status": "pending", "payment.expiresAt": { $lte: new Date() } }).limit(100);
+  let expired = 0;
+  for (const order of overdue) {
+    try {
+      if (await expireOverduePayment(order)) expired++;
+    } catch (err) {
+      console.error(`Payment expiry error on order ${order._id}:`, err.message);
+    }
+  }
+  return expired;
+}
+
+async function refundSettled(order, event, succeeded) {
+  const payment = order.payment;
+  const refund = payment.refunds.find((r) => r.refundId && r.refundId === event.data.refundId);
+  if (!refund) return "unknown refund";
+  if (refund.status !== "pending") return "already settled";
+
+  refund.status = succeeded ? "succeeded" : "failed";
+  refund.settledAt = new Date();
+  if (succeeded) {
+    payment.refunded = roundMoney(payment.refunded + refund.amount);
+    payment.status = payment.refunded >= payment.amount ? "refunded" : "partially_refunded";
+  } else {
+    refund.failureReason = event.data.reason || null;
+  }
+  await order.save();
+
+  await notify(order.orderedBy, {
+    type: "payment",
+    title: succeeded ? "Refund sent" : "Refund failed",
+    message: succeeded
+      ? `${refund.amount} ${payment.currency} has been refunded for order ${order._id}.`
+      : `A refund of ${refund.amount} ${payment.currency} for order ${order._id} failed; our team will follow up.`,
+    data: { orderId: order._id },
+  });
+  return succeeded ? "refunded" : "refund failed";
+}
+
+// Applies a verified event. Returns a short outcome string.
+async function applyPaymentEvent(providerName, event) {
+  const order = await Order.findOne({ "payment.provider": providerName, "payment.intentId": event.data.intentId });
+  if (!order) return "unknown intent";
+
+  switch (event.type) {
+    case "payment.succeeded":
+      return paymentSucceeded(order, event);
+    case "payment.failed":
+      return paymentFailed(order, event);
+    case "refund.succeeded":
+      return refundSettled(order, event, true);
+    case "refund.failed":
+      return refundSettled(order, event, false);
+    default:
+      return "ignored";
+  }
+}
+
+// Payment methods the checkout can offer
+app.get("/api/v1/payments/methods", (req, res) => {
+  res.json({ success: true, currency: PAYMENT_CURRENCY, methods: ["cod", ...Object.keys(PAYMENT_PROVIDERS)] });
+});
+
+// Scheduled in vercel.json; any scheduler can call it with "Authorization: Bearer <CRON_SECRET>"
+app.get("/api/v1/cron/expire-payments", async (req, res) => {
+  if (!CRON_SECRET) return res.status(404).json({ success: false, message: "Cron jobs are disabled" });
+  if (req.get("Authorization") !== `Bearer ${CRON_SECRET}`) return res.status(401).json({ success: false, message: "Not authorized" });
+  try {
+    res.json({ success: true, expired: await sweepOverduePayments() });
+  } catch (err) {
+    console.error("Payment expiry sweep error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
+// Signed webhook from a payment provider. Each event is applied once; redeliveries get 200.
+app.post("/api/v1/payments/webhook/:provider", async (req, res) => {
+  const provider = PAYMENT_PROVIDERS[req.params.provider];
+  if (!provider) return res.status(404).json({ success: false, message: "Unknown payment provider" });
 
+  const event = provider.parseWebhook(req);
+  if (!event) return res.status(400).json({ success: false, message: "Invalid signature or payload" });
 
-// Update Stock
-app.patch("/api/v1/products/:id/update-stock", requireAuth, requireMerchant, async (req, res) => {
+  let record;
   try {
-    const { quantity } = req.body;
-    const product = await Product.findById(req.params.id);
-    if (!product) 
-      return res.status(404).json({ success: false, message: "Product not found" });
+    record = await PaymentEvent.create({
+      provider: req.params.provider,
+      eventId: event.id,
+      type: event.type,
+      intentId: event.data.intentId,
+    });
+  } catch (err) {
+    if (err.code === 11000) return res.json({ success: true, duplicate: true });
+    console.error("Payment webhook error:", err.message);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
 
-    if (product.merchantId.toString() !== req.user._id.toString())
+  try {
+    const outcome = await applyPaymentEvent(req.params.provider, event);
+    await PaymentEvent.updateOne({ _id: record._id }, { $set: { outcome } });
+    res.json({ success: true, outcome });
+  } catch (err) {
+    // Forget the event so the provider's retry is processed
+    await PaymentEvent.deleteOne({ _id: record._id });
+    console.error("Payment webhook error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Payment state of an order (the customer who placed it, or an admin)
+app.get("/api/v1/orders/:id/payment", requireAuth, validate(idParams, "params"), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ success: false, message: "Order not found" });
+    if (req.user.role !== "admin" && order.orderedBy.toString() !== req.user._id.toString())
       return res.status(403).json({ success: false, message: "Not authorized" });
+    await expireOverduePayment(order);
+
+    res.json({ success: true, orderStatus: order.status, payment: order.payment });
+  } catch (err) {
+    console.error("Order payment error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Mock gateway's "checkout page": pay or fail an intent, which sends the signed webhook
+app.post(
+  "/api/v1/payments/mock/:intentId/complete",
+  requireAuth,
+  validate(mockPaymentParams, "params"),
+  validate(mockPaymentSchema),
+  async (req, res) => {
+    try {
+      if (!PAYMENT_PROVIDERS.mock) return res.status(404).json({ success: false, message: "Mock payments are disabled" });
+
+      const { intentId } = req.params;
+      const order = await Order.findOne({ "payment.provider": "mock", "payment.intentId": intentId });
+      if (!order) return res.status(404).json({ success: false, message: "Payment not found" });
+      if (req.user.role !== "admin" && order.orderedBy.toString() !== req.user._id.toString())
+        return res.status(403).json({ success: false, message: "Not authorized" });
+      await expireOverduePayment(order);
+      if (order.payment.status !== "pending")
+        return res.status(409).json({ success: false, message: `Payment is already ${order.payment.status}` });
+
+      const { outcome, reason } = req.body;
+      const webhookStatus = await deliverMockEvent(`payment.${outcome}`, {
+        intentId,
+        amount: order.payment.amount,
+        reason: reason || (outcome === "failed" ? "Card declined" : undefined),
+      });
+      if (webhookStatus !== 200)
+        return res.status(502).json({ success: false, message: `Webhook delivery failed (${webhookStatus})` });
+
+      const updated = await Order.findById(order._id).select("status payment");
+      res.json({ success: true, message: `Payment ${outcome}`, orderStatus: updated.status, payment: updated.payment });
+    } catch (err) {
+      console.error("Mock payment error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+// ---------------------------
+// Notifications
+// ---------------------------
+// In-app notices for a single user: merchant application decisions, new and
+// changed orders, merchant requests, back-in-stock alerts. Stored, and delivered
+// live to any open Server-Sent Events stream of that user. Streams poll the
+// collection, so notices written by any server instance arrive; the same
+// instance also pushes them straight away.
+const NotificationSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, required: true }, // e.g. "order", "request", "merchant-application", "back-in-stock"
+    title: { type: String, required: true },
+    message: { type: String, required: true },
+    data: { type: Object, default: {} }, // ids the client needs to link the notice, e.g. { orderId }
+    readAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, readAt: 1 });
+
+const Notification = model("Notification", NotificationSchema);
+
+const NOTIFICATION_POLL_MS = Number(process.env.NOTIFICATION_POLL_MS || 5000);
+// Poll windows overlap by this much, so a notice another instance saved with a slightly
+// older createdAt is still picked up; ids already sent are skipped
+const NOTIFICATION_LOOKBACK_MS = 10000;
+
+// Open streams on this instance per user id (a user may have several tabs open).
+// Each stream: { res, userId, since, sent: Map<id, createdAt ms>, unreadCount, polling }
+const notificationStreams = new Map();
+
+const unreadCountFor = (userId) => Notification.countDocuments({ userId, readAt: null });
+
+// Writes a notification once per stream; the SSE id lets a reconnecting client resume
+function sendNotificationFrame(stream, notification, unreadCount) {
+  const id = notification._id.toString();
+  if (stream.sent.has(id)) return;
+  stream.sent.set(id, new Date(notification.createdAt).getTime());
+  stream.unreadCount = unreadCount;
+  stream.res.write(`id: ${id}\nevent: notification\ndata: ${JSON.stringify({ notification, unreadCount })}\n\n`);
+}
+
+function sendReadFrame(stream, unreadCount) {
+  stream.unreadCount = unreadCount;
+  stream.res.write(`event: read\ndata: ${JSON.stringify({ unreadCount })}\n\n`);
+}
+
+// Same-instance shortcut; polling covers everything else
+const localStreams = (userId) => notificationStreams.get(userId.toString()) || new Set();
+
+// Picks up notices and read-state changes made by any instance since the last poll
+async function pollNotificationStream(stream) {
+  if (stream.polling) return;
+  stream.polling = true;
+  try {
+    const now = Date.now();
+    const from = Math.max(stream.since, (stream.checkedAt ?? stream.since) - NOTIFICATION_LOOKBACK_MS);
+    stream.checkedAt = now;
+
+    const [fresh, unreadCount] = await Promise.all([
+      Notification.find({ userId: stream.userId, createdAt: { $gt: new Date(from) } })
+        .sort({ createdAt: 1 })
+        .limit(50),
+      unreadCountFor(stream.userId),
+    ]);
+    for (const notification of fresh) sendNotificationFrame(stream, notification, unreadCount);
+    if (unreadCount < stream.unreadCount) sendReadFrame(stream, unreadCount);
+    stream.unreadCount = unreadCount;
+
+    for (const [id, at] of stream.sent) if (at <= from) stream.sent.delete(id);
+  } catch (err) {
+    console.error("Notification poll error:", err.message);
+  } finally {
+    stream.polling = false;
+  }
+}
+
+// Stores a notification and pushes it to the user's open streams on this instance.
+// Failures are logged, never surfaced: the action that triggered it has already succeeded.
+async function notify(userId, { type, title, message, data = {} }) {
+  try {
+    const notification = await Notification.create({ userId, type, title, message, data });
+    const streams = localStreams(userId);
+    if (streams.size) {
+      const unreadCount = await unreadCountFor(userId);
+      for (const stream of streams) sendNotificationFrame(stream, notification, unreadCount);
+    }
+    return notification;
+  } catch (err) {
+    console.error("Notification error:", err.message);
+    return null;
+  }
+}
+
+// EventSource cannot send headers, so the stream also accepts the ID token as ?token=
+const tokenFromQuery = (req, _res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === "string") {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// My notifications, newest first (?unread=true for unread only)
+app.get("/api/v1/notifications", requireAuth, validate(notificationsQuery, "query"), async (req, res) => {
+  try {
+    const { unread, page, limit } = req.query;
+    const filter = { userId: req.user._id };
+    if (unread === "true") filter.readAt = null;
+
+    const [data, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      unreadCountFor(req.user._id),
+    ]);
+    res.json({ success: true, data, total, unreadCount, page, limit, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error("Get notifications error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.get("/api/v1/notifications/unread-count", requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, unreadCount: await unreadCountFor(req.user._id) });
+  } catch (err) {
+    console.error("Unread count error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Live stream: a "ready" event with the unread count, then one "notification"
+// event per new notice and a "read" event whenever the unread count drops.
+// On reconnect, EventSource sends Last-Event-ID and missed notices are replayed.
+app.get("/api/v1/notifications/stream", tokenFromQuery, requireAuth, async (req, res) => {
+  const key = req.user._id.toString();
+
+  let since = Date.now();
+  const lastEventId = req.get("Last-Event-ID");
+  if (lastEventId && mongoose.isValidObjectId(lastEventId)) {
+    const last = await Notification.findOne({ _id: lastEventId, userId: req.user._id }).select("createdAt");
+    if (last) since = last.createdAt.getTime();
+  }
+  const unreadCount = await unreadCountFor(req.user._id);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // keep reverse proxies from buffering the stream
+  });
+  res.write(`event: ready\ndata: ${JSON.stringify({ unreadCount })}\n\n`);
+
+  const stream = { res, userId: req.user._id, since, sent: new Map(), unreadCount, polling: false };
+  if (lastEventId) stream.sent.set(lastEventId, since); // the client already has it
+  if (!notificationStreams.has(key)) notificationStreams.set(key, new Set());
+  notificationStreams.get(key).add(stream);
+  if (since < Date.now()) pollNotificationStream(stream);
+
+  const poll = setInterval(() => pollNotificationStream(stream), NOTIFICATION_POLL_MS);
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+  req.on("close", () => {
+    clearInterval(poll);
+    clearInterval(heartbeat);
+    const streams = notificationStreams.get(key);
+    streams?.delete(stream);
+    if (streams && !streams.size) notificationStreams.delete(key);
+  });
+});
+
+app.patch("/api/v1/notifications/read-all", requireAuth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ userId: req.user._id, readAt: null }, { $set: { readAt: new Date() } });
+    for (const stream of localStreams(req.user._id)) sendReadFrame(stream, 0);
+    res.json({ success: true, message: "All notifications marked as read", updated: result.modifiedCount });
+  } catch (err) {
+    console.error("Mark all read error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.patch("/api/v1/notifications/:id/read", requireAuth, validate(idParams, "params"), async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!notification) return res.status(404).json({ success: false, message: "Notification not found" });
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    const unreadCount = await unreadCountFor(req.user._id);
+    for (const stream of localStreams(req.user._id)) sendReadFrame(stream, unreadCount);
+
+    res.json({ success: true, message: "Notification marked as read", notification, unreadCount });
+  } catch (err) {
+    console.error("Mark read error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ---------------------------
+// Wishlist & Back-in-Stock Alerts
+// ---------------------------
+const WishlistSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    items: [
+      {
+        _id: false,
+        productId: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+const Wishlist = model("Wishlist", WishlistSchema);
+
+// One-shot subscription: fires once when the product is restocked, then stays as history
+const StockAlertSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    productId: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    notifiedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+StockAlertSchema.index({ userId: 1, productId: 1 }, { unique: true });
+StockAlertSchema.index({ productId: 1, notifiedAt: 1 });
+
+const StockAlert = model("StockAlert", StockAlertSchema);
+
+const getOrCreateWishlist = (userId) =>
+  Wishlist.findOneAndUpdate({ userId }, { $setOnInsert: { userId, items: [] } }, { new: true, upsert: true });
+
+// Wishlist with current product data and whether an alert is waiting on each item
+async function wishlistView(wishlist, viewer) {
+  const ids = wishlist.items.map((i) => i.productId);
+  const [products, alerts] = await Promise.all([
+    Product.find({ _id: { $in: ids }, archivedAt: null }),
+    StockAlert.find({ userId: wishlist.userId, productId: { $in: ids }, notifiedAt: null }).select("productId"),
+  ]);
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+  const alerted = new Set(alerts.map((a) => a.productId.toString()));
+
+  const items = wishlist.items.map((item) => {
+    const product = byId.get(item.productId.toString());
+    return {
+      productId: item.productId,
+      addedAt: item.addedAt,
+      product: product ? shapeProduct(product, viewer) : null,
+      inStock: product ? product.quantity > 0 : false,
+      notifyWhenInStock: alerted.has(item.productId.toString()),
+    };
+  });
+  return { _id: wishlist._id, items, updatedAt: wishlist.updatedAt };
+}
+
+// (Re)arms a back-in-stock alert for the user
+const subscribeStockAlert = (userId, productId) =>
+  StockAlert.findOneAndUpdate(
+    { userId, productId },
+    { $set: { notifiedAt: null } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+// Called by every route that can take a product from 0 to positive stock.
+// Each alert is claimed before its notification is written, so racing restocks notify once.
+// Failures are logged, never surfaced: the stock change itself has already succeeded.
+async function notifyBackInStock(productId) {
+  try {
+    const product = await Product.findById(productId).select("title images quantity archivedAt");
+    if (!product || product.archivedAt || product.quantity <= 0) return;
+
+    const alerts = await StockAlert.find({ productId, notifiedAt: null }).select("_id userId");
+    for (const alert of alerts) {
+      const claimed = await StockAlert.findOneAndUpdate(
+        { _id: alert._id, notifiedAt: null },
+        { $set: { notifiedAt: new Date() } }
+      );
+      if (!claimed) continue;
+      await notify(alert.userId, {
+        type: "back-in-stock",
+        title: "Back in stock",
+        message: `${product.title} is available again.`,
+        data: { productId: product._id, image: product.images?.[0] || null },
+      });
+    }
+  } catch (err) {
+    console.error("Back-in-stock notification error:", err.message);
+  }
+}
+
+// Get my wishlist
+app.get("/api/v1/wishlist", requireAuth, async (req, res) => {
+  try {
+    const wishlist = await getOrCreateWishlist(req.user._id);
+    res.json({ success: true, wishlist: await wishlistView(wishlist, req.user) });
+  } catch (err) {
+    console.error("Get wishlist error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Save a product; notifyWhenInStock also subscribes to its back-in-stock alert
+app.post("/api/v1/wishlist/items", requireAuth, validate(wishlistItemSchema), async (req, res) => {
+  try {
+    const { productId, notifyWhenInStock } = req.body;
+
+    const product = await Product.findOne({ _id: productId, archivedAt: null });
+    if (!product) return res.status(404).json({ success: false, message: "Product not found" });
+
+    const wishlist = await getOrCreateWishlist(req.user._id);
+    if (!wishlist.items.some((i) => i.productId.toString() === productId)) {
+      wishlist.items.push({ productId });
+      await wishlist.save();
+    }
+    if (notifyWhenInStock && product.quantity <= 0) await subscribeStockAlert(req.user._id, product._id);
+
+    res.json({ success: true, message: "Added to wishlist", wishlist: await wishlistView(wishlist, req.user) });
+  } catch (err) {
+    console.error("Add to wishlist error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Remove a product (and any pending alert for it)
+app.delete("/api/v1/wishlist/items/:productId", requireAuth, validate(cartItemParams, "params"), async (req, res) => {
+  try {
+    const wishlist = await getOrCreateWishlist(req.user._id);
+    wishlist.items = wishlist.items.filter((i) => i.productId.toString() !== req.params.productId);
+    await wishlist.save();
+    await StockAlert.deleteOne({ userId: req.user._id, productId: req.params.productId, notifiedAt: null });
+
+    res.json({ success: true, message: "Removed from wishlist", wishlist: await wishlistView(wishlist, req.user) });
+  } catch (err) {
+    console.error("Remove wishlist item error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// My pending back-in-stock alerts
+app.get("/api/v1/stock-alerts", requireAuth, async (req, res) => {
+  try {
+    const data = await StockAlert.find({ userId: req.user._id, notifiedAt: null })
+      .sort({ createdAt: -1 })
+      .populate("productId", "title images retailPrice stockStatus");
+    res.json({ success: true, count: data.length, data });
+  } catch (err) {
+    console.error("Get stock alerts error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
 
-    // Update quantity and stockStatus
-    product.quantity = quantity;
-    product.stockStatus = quantity > 0 ? "in-stock" : "out-of-stock";
+// Subscribe to a sold-out product
+app.post("/api/v1/products/:id/stock-alert", requireAuth, validate(idParams, "params"), async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, archivedAt: null });
+    if (!product) return res.status(404).json({ success: false, message: "Product not found" });
+    if (product.quantity > 0) return res.status(400).json({ success: false, message: "Product is in stock" });
 
-    await product.save();
+    const alert = await subscribeStockAlert(req.user._id, product._id);
+    res.status(201).json({ success: true, message: "We'll let you know when it's back", alert });
+  } catch (err) {
+    console.error("Stock alert error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
 
-    res.json({ success: true, message: "Stock updated", product });
+app.delete("/api/v1/products/:id/stock-alert", requireAuth, validate(idParams, "params"), async (req, res) => {
+  try {
+    await StockAlert.deleteOne({ userId: req.user._id, productId: req.params.id, notifiedAt: null });
+    res.json({ success: true, message: "Alert removed" });
   } catch (err) {
-    console.error("Update stock error:", err);
-    res.status(500).json({ success: false, message: "Server Error" });
+    console.error("Remove stock alert error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
+// ---------------------------
+// Review Routes
+// ---------------------------
+// One review per customer per product, only after an order containing it was delivered.
+const ReviewSchema = new Schema(
+  {
+    productId: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    merchantId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    orderId: { type: Schema.Types.ObjectId, ref: "Order", required: true }, // the delivered order that made it eligible
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    text: { type: String, required: true, trim: true },
+    reply: {
+      text: { type: String, default: null },
+      by: { type: Schema.Types.ObjectId, ref: "User", default: null },
+      at: { type: Date, default: null },
+    },
+    // Hidden reviews stay in the database but leave the public list and the rating
+    hiddenAt: { type: Date, default: null },
+    hiddenBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    hiddenReason: { type: String, default: null },
+  },
+  { timestamps: true }
+);
 
+ReviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+ReviewSchema.index({ productId: 1, hiddenAt: 1, createdAt: -1 });
+ReviewSchema.index({ merchantId: 1, hiddenAt: 1 });
 
-// ----------------- Stock Out -----------------
-app.patch(
-  "/api/v1/products/:id/stock-out",
-  requireAuth,
-  requireMerchant,
-  async (req, res) => {
-    try {
-      const product = await Product.findById(req.params.id);
-      if (!product)
-        return res
-          .status(404)
-          .json({ success: false, message: "Product not found" });
+const Review = model("Review", ReviewSchema);
 
-      if (product.merchantId.toString() !== req.user._id.toString())
-        return res
-          .status(403)
-          .json({ success: false, message: "Not authorized" });
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
 
-      product.quantity = 0;
-      product.stockStatus = "out-of-stock";
-      await product.save();
+// A delivered order of `userId` that contains `productId`, or null
+function findDeliveredOrder(userId, productId) {
+  return Order.findOne({
+    orderedBy: userId,
+    $or: [
+      { subOrders: { $elemMatch: { status: "delivered", "items.productId": productId } } },
+      // legacy single-product orders kept the product as a plain object
+      { status: "delivered", "product._id": { $in: [productId, productId.toString()] } },
+    ],
+  }).select("_id");
+}
 
-      res.json({
-        success: true,
-        message: "Product marked as out of stock",
-        product,
-      });
-    } catch (err) {
-      console.error(err);
-      res.status(500).json({ success: false, message: "Server Error" });
-    }
+// Average and count of visible reviews matching `match`
+async function ratingSummary(match) {
+  const [agg] = await Review.aggregate([
+    { $match: { ...match, hiddenAt: null } },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+  return { average: agg ? Math.round(agg.average * 10) / 10 : 0, count: agg?.count || 0 };
+}
+
+// Recomputes the stored rating on a product after any review change
+async function refreshProductRating(productId) {
+  const rating = await ratingSummary({ productId: new mongoose.Types.ObjectId(String(productId)) });
+  await Product.updateOne({ _id: productId }, { $set: { rating } });
+}
+
+const merchantRating = (merchantId) => ratingSummary({ merchantId: new mongoose.Types.ObjectId(String(merchantId)) });
+
+// Loads a review by :id; responds and returns null when missing
+async function findReviewOr404(req, res) {
+  const review = await Review.findById(req.params.id);
+  if (!review) {
+    res.status(404).json({ success: false, message: "Review not found" });
+    return null;
   }
-);
+  return review;
+}
 
-// ----------------- Request Other Merchant Product -----------------
-app.post(
-  "/api/v1/products/:id/request",
-  requireAuth,
-  requireMerchant,
+// Reviews of a product, newest first by default; admins also see hidden ones
+app.get(
+  "/api/v1/products/:id/reviews",
+  optionalAuth,
+  validate(idParams, "params"),
+  validate(reviewsQuery, "query"),
   async (req, res) => {
     try {
-      const product = await Product.findById(req.params.id);
-      if (!product)
-        return res
-          .status(404)
-          .json({ success: false, message: "Product not found" });
-
-      if (product.merchantId.toString() === req.user._id.toString())
-        return res
-          .status(400)
-          .json({ success: false, message: "Cannot request your own product" });
-
-      // Optionally: save request to DB here
-      res.json({ success: true, message: "Product request sent" });
+      const { sort, page, limit } = req.query;
+      const filter = { productId: req.params.id };
+      if (req.user?.role !== "admin") filter.hiddenAt = null;
+
+      const [data, total, rating] = await Promise.all([
+        Review.find(filter)
+          .sort(REVIEW_SORTS[sort])
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("userId", "name photoURL"),
+        Review.countDocuments(filter),
+        ratingSummary({ productId: new mongoose.Types.ObjectId(req.params.id) }),
+      ]);
+
+      res.json({ success: true, rating, data, total, page, limit, pages: Math.ceil(total / limit) });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ success: false, message: "Server Error" });
+      console.error("Error fetching reviews:", err);
+      res.status(500).json({ success: false, message: "Failed to fetch reviews" });
     }
   }
 );
 
-// ----------------- Edit Product (Merchant or Admin) -----------------
-app.patch("/api/v1/products/:id/edit", requireAuth, async (req, res) => {
+// Leave a review (customer with a delivered order for the product)
+app.post("/api/v1/products/:id/reviews", requireAuth, validate(idParams, "params"), validate(reviewSchema), async (req, res) => {
   try {
-    const { title, images, category, retailPrice, merchantPrice, quantity } =
-      req.body;
-
-    const product = await Product.findById(req.params.id);
-    if (!product)
-      return res
-        .status(404)
-        .json({ success: false, message: "Product not found" });
-
-    // Only allow merchant owner or admin
-    if (
-      product.merchantId.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
-      return res
-        .status(403)
-        .json({ success: false, message: "Not authorized" });
-    }
-
-    if (title) product.title = title;
-    if (images) product.images = images;
-    if (category) product.category = category;
-    if (retailPrice) product.retailPrice = retailPrice;
-    if (merchantPrice) product.merchantPrice = merchantPrice;
-    if (quantity !== undefined) {
-      product.quantity = quantity;
-      product.stockStatus = quantity > 0 ? "in-stock" : "out-of-stock";
-    }
-
-    await product.save();
+    const product = await Product.findById(req.params.id).select("merchantId");
+    if (!product) return res.status(404).json({ success: false, message: "Product not found" });
+    if (product.merchantId.toString() === req.user._id.toString())
+      return res.status(403).json({ success: false, message: "You cannot review your own product" });
+
+    const order = await findDeliveredOrder(req.user._id, product._id);
+    if (!order)
+      return res.status(403).json({ success: false, message: "Only customers with a delivered order can review this product" });
+
+    if (await Review.exists({ productId: product._id, userId: req.user._id }))
+      return res.status(409).json({ success: false, message: "You have already reviewed this product" });
+
+    const review = await Review.create({
+      productId: product._id,
+      merchantId: product.merchantId,
+      userId: req.user._id,
+      orderId: order._id,
+      rating: req.body.rating,
+      text: req.body.text,
+    });
+    await refreshProductRating(product._id);
 
-    res.json({ success: true, message: "Product updated successfully", product });
+    res.status(201).json({ success: true, message: "Review added", review });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: "Server Error" });
+    if (err.code === 11000)
+      return res.status(409).json({ success: false, message: "You have already reviewed this product" });
+    console.error("Add review error:", err);
+    res.status(500).json({ success: false, message: "Failed to add review" });
   }
 });
 
-// ----------------- Delete Product (Merchant or Admin) -----------------
-app.delete("/api/v1/products/:id", requireAuth, async (req, res) => {
+// Edit your own review
+app.patch("/api/v1/reviews/:id", requireAuth, validate(idParams, "params"), validate(reviewUpdateSchema), async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
-    if (!product)
-      return res
-        .status(404)
-        .json({ success: false, message: "Product not found" });
+    const review = await findReviewOr404(req, res);
+    if (!review) return;
+    if (review.userId.toString() !== req.user._id.toString())
+      return res.status(403).json({ success: false, message: "Not authorized" });
 
-    // Only allow merchant owner or admin
-    if (
-      product.merchantId.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
-      return res
-        .status(403)
-        .json({ success: false, message: "Not authorized" });
-    }
+    if (req.body.rating !== undefined) review.rating = req.body.rating;
+    if (req.body.text !== undefined) review.text = req.body.text;
+    await review.save();
+    await refreshProductRating(review.productId);
 
-    await product.deleteOne();
-    res.json({ success: true, message: "Product deleted successfully" });
+    res.json({ success: true, message: "Review updated", review });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: "Server Error" });
+    console.error("Update review error:", err);
+    res.status(500).json({ success: false, message: "Failed to update review" });
   }
 });
 
-// =============================== Blog ==================================
-
-// ----------------- Blog Schema + Model -----------------
-const blogSchema = new mongoose.Schema(
-  {
-    title: { type: String, required: true },
-    thumbnail: { type: String },
-    content: { type: String, required: true },
-    author: { type: String },
-    authorPhoto: { type: String },
-    status: { type: String, enum: ["draft", "published"], default: "draft" },
-    category: { type: String },
-  },
-  { timestamps: true }
-);
-
-const Blog = mongoose.model("Blog", blogSchema);
+// Delete a review (its author or an admin)
+app.delete("/api/v1/reviews/:id", requireAuth, validate(idParams, "params"), async (req, res) => {
+  try {
+    const review = await findReviewOr404(req, res);
+    if (!review) return;
+    if (review.userId.toString() !== req.user._id.toString() && req.user.role !== "admin")
+      return res.status(403).json({ success: false, message: "Not authorized" });
 
-// ----------------- Blog Routes -----------------
+    await review.deleteOne();
+    await refreshProductRating(review.productId);
 
-// Get all blogs
-app.get("/api/v1/blogs", async (req, res) => {
-  try {
-    const blogs = await Blog.find().sort({ createdAt: -1 });
-    res.json(blogs);
+    res.json({ success: true, message: "Review deleted" });
   } catch (err) {
-    res.status(500).json({ message: "Failed to fetch blogs" });
+    console.error("Delete review error:", err);
+    res.status(500).json({ success: false, message: "Failed to delete review" });
   }
 });
 
-// Get single blog by ID
-app.get("/api/v1/blogs/:id", async (req, res) => {
+// The product's merchant may reply once
+app.post("/api/v1/reviews/:id/reply", requireAuth, requireMerchant, validate(idParams, "params"), validate(reviewReplySchema), async (req, res) => {
   try {
-    const blog = await Blog.findById(req.params.id);
-    if (!blog) return res.status(404).json({ message: "Blog not found" });
-    res.json(blog);
+    const review = await findReviewOr404(req, res);
+    if (!review) return;
+    if (review.merchantId.toString() !== req.user._id.toString())
+      return res.status(403).json({ success: false, message: "Only the product's merchant can reply" });
+
+    // Conditional update so two racing replies cannot both land
+    const updated = await Review.findOneAndUpdate(
+      { _id: review._id, "reply.text": null },
+      { $set: { reply: { text: req.body.text, by: req.user._id, at: new Date() } } },
+      { new: true }
+    );
+    if (!updated) return res.status(409).json({ success: false, message: "This review already has a reply" });
+
+    res.json({ success: true, message: "Reply added", review: updated });
   } catch (err) {
-    res.status(500).json({ message: "Failed to fetch blog" });
+    console.error("Review reply error:", err);
+    res.status(500).json({ success: false, message: "Failed to reply" });
   }
 });
 
+// Hide an abusive review (admin only); it no longer counts towards the rating
+app.patch("/api/v1/admin/reviews/:id/hide", requireAuth, requireAdmin, validate(idParams, "params"), validate(reviewHideSchema), async (req, res) => {
+  try {
+    const review = await findReviewOr404(req, res);
+    if (!review) return;
 
+    review.hiddenAt = new Date();
+    review.hiddenBy = req.user._id;
+    review.hiddenReason = req.body.reason || null;
+    await review.save();
+    await refreshProductRating(review.productId);
 
+    res.json({ success: true, message: "Review hidden", review });
+  } catch (err) {
+    console.error("Hide review error:", err);
+    res.status(500).json({ success: false, message: "Failed to hide review" });
+  }
+});
 
+app.patch("/api/v1/admin/reviews/:id/unhide", requireAuth, requireAdmin, validate(idParams, "params"), async (req, res) => {
+  try {
+    const review = await findReviewOr404(req, res);
+    if (!review) return;
 
+    review.hiddenAt = null;
+    review.hiddenBy = null;
+    review.hiddenReason = null;
+    await review.save();
+    await refreshProductRating(review.productId);
 
+    res.json({ success: true, message: "Review restored", review });
+  } catch (err) {
+    console.error("Unhide review error:", err);
+    res.status(500).json({ success: false, message: "Failed to restore review" });
+  }
+});
 
+// --- RequestList Schema --------------------------------------
+// A B2B request from one merchant (requestedBy) to buy stock of another
+// merchant's product (requestedTo). The two sides take turns: whoever is in
+// `awaitingResponseFrom` may accept, decline or counter the current offer.
+// "fulfilling" is held only while a fulfil moves the stock
+const REQUEST_STATUSES = ["pending", "countered", "accepted", "declined", "cancelled", "fulfilling", "fulfilled"];
 
-// ------------- OrderSchema----------------
-const OrderSchema = new mongoose.Schema(
+const requestListSchema = new mongoose.Schema(
   {
-    product: { type: Object, required: true }, // save full product object (not ideal for production, but fine for now)
-    quantity: { type: Number, default: 1 },
-    status: { type: String, enum: ["pending", "confirmed", "shipped", "delivered", "cancelled"], default: "pending" },
-    orderedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // user ID
-    addedByMerchant: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // merchant ID
+    requestedByMerchant: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    requestedToMerchant: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null }, // required for products with variants
+    productTitle: { type: String, required: true }, // snapshot at request time
+    variantLabel: { type: String, default: null },
+    productCategory: { type: String, required: true },
+    offer: {
+      quantity: { type: Number, required: true, min: 1 },
+      unitPrice: { type: Number, required: true, min: 0 },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    },
+    awaitingResponseFrom: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    status: { type: String, enum: REQUEST_STATUSES, default: "pending" },
+    fulfilledProductId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", default: null },
+    timeline: [
+      {
+        _id: false,
+        status: { type: String, enum: REQUEST_STATUSES, required: true },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        quantity: { type: Number },
+        unitPrice: { type: Number },
+        note: { type: String, default: null },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    createdAt: { type: Date, default: Date.now },
   },
-  { timestamps: true }
+  { optimisticConcurrency: true }
 );
 
-const Order = mongoose.model("Order", OrderSchema);
+requestListSchema.index({ requestedToMerchant: 1, createdAt: -1 });
+requestListSchema.index({ requestedByMerchant: 1, createdAt: -1 });
+
+const RequestList = mongoose.model("RequestList", requestListSchema);
 
+const OPEN_REQUEST_STATUSES = ["pending", "countered"];
 
-// Create a new order
-app.post("/api/v1/orders", async (req, res) => {
+// Creates a request for `productId` from a body parsed by productRequestSchema.
+// The offered price defaults to the supplier's merchantPrice (the variant's, if any).
+async function createProductRequest(req, res, productId) {
   try {
-    const { product, quantity, status, orderedBy, addedByMerchant } = req.body;
+    const { quantity, offeredPrice, variantId } = req.body;
 
-    if (!orderedBy) {
-      return res.status(400).json({ error: "orderedBy is required" });
-    }
+    const product = await Product.findOne({ _id: productId, archivedAt: null });
+    if (!product) return res.status(404).json({ success: false, message: "Product not found" });
+    if (product.merchantId.toString() === req.user._id.toString())
+      return res.status(400).json({ success: false, message: "Cannot request your own product" });
+    if (product.variants.length && !variantId)
+      return validationError(res, [{ path: "variantId", message: "Choose a variant" }]);
+    const variant = variantId ? product.variants.id(variantId) : null;
+    if (variantId && !variant) return res.status(404).json({ success: false, message: "Variant not found" });
 
-    const newOrder = new Order({
-      product,
-      quantity,
-      status,
-      orderedBy,
-      addedByMerchant,
+    const unitPrice = offeredPrice ?? (variant || product).merchantPrice;
+
+    const request = await RequestList.create({
+      requestedByMerchant: req.user._id,
+      requestedToMerchant: product.merchantId,
+      productId: product._id,
+      variantId: variant?._id || null,
+      productTitle: product.title,
+      variantLabel: variant ? variantLabel(variant) : null,
+      productCategory: product.category,
+      offer: { quantity, unitPrice, by: req.user._id },
+      awaitingResponseFrom: product.merchantId,
+      timeline: [{ status: "pending", by: req.user._id, quantity, unitPrice, note: req.body.note || null }],
     });
+    await notifyRequestParty(request, product.merchantId, "New product request", `${req.user.name} wants ${quantity} × ${product.title}.`);
+
+    res.status(201).json({ success: true, message: "Product request sent", request });
+  } catch (err) {
+    console.error("RequestList POST error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+
+// --- Route to POST request ---
+app.post("/api/v1/request-list", requireAuth, requireMerchant, validate(requestListInputSchema), (req, res) =>
+  createProductRequest(req, res, req.body.productId)
+);
+
+// Loads a request for a lifecycle action; responds and returns null when missing.
+async function findRequestOr404(req, res) {
+  const request = await RequestList.findById(req.params.id);
+  if (!request) res.status(404).json({ success: false, message: "Request not found" });
+  return request;
+}
+
+// Accept, decline or counter are only open to the merchant whose turn it is
+function checkRequestTurn(request, user) {
+  if (!OPEN_REQUEST_STATUSES.includes(request.status))
+    return { status: 400, message: `Request is already ${request.status}` };
+  if (request.awaitingResponseFrom?.toString() !== user._id.toString())
+    return { status: 403, message: "It is not your turn to respond to this request" };
+  return null;
+}
+
+const otherParty = (request, userId) =>
+  request.requestedByMerchant.toString() === userId.toString()
+    ? request.requestedToMerchant
+    : request.requestedByMerchant;
 
-    await newOrder.save();
+// Notifies one side of a request about what the other side just did
+const notifyRequestParty = (request, recipient, title, message) =>
+  notify(recipient, { type: "request", title, message, data: { requestId: request._id, status: request.status } });
 
-    res.status(201).json({ message: "Order created successfully", order: newOrder });
+const requestActionError = (res, err, label) => {
+  if (err.name === "VersionError")
+    return res.status(409).json({ success: false, message: "Request was modified concurrently, please retry" });
+  console.error(`${label} error:`, err.message);
+  res.status(500).json({ success: false, message: "Server error" });
+};
+
+// Accept the current offer
+app.patch("/api/v1/request-list/:id/accept", requireAuth, requireMerchant, validate(idParams, "params"), validate(noteSchema), async (req, res) => {
+  try {
+    const request = await findRequestOr404(req, res);
+    if (!request) return;
+    const failure = checkRequestTurn(request, req.user);
+    if (failure) return res.status(failure.status).json({ success: false, message: failure.message });
+
+    request.status = "accepted";
+    request.awaitingResponseFrom = null;
+    const { quantity, unitPrice } = request.offer;
+    request.timeline.push({ status: "accepted", by: req.user._id, quantity, unitPrice, note: req.body.note || null });
+    await request.save();
+    await notifyRequestParty(request, otherParty(request, req.user._id), "Request accepted", `Your offer for ${request.productTitle} was accepted.`);
+
+    res.json({ success: true, message: "Request accepted", request });
   } catch (err) {
-    console.error("Order creation error:", err.message);
-    res.status(500).json({ error: "Failed to create order" });
+    requestActionError(res, err, "Accept request");
   }
 });
 
-// ✅ Get All Orders (GET)
-app.get("/api/v1/orders", async (req, res) => {
+// Decline the current offer
+app.patch("/api/v1/request-list/:id/decline", requireAuth, requireMerchant, validate(idParams, "params"), validate(noteSchema), async (req, res) => {
   try {
-    const orders = await Order.find().sort({ createdAt: -1 });
-    res.json({ success: true, count: orders.length, data: orders });
+    const request = await findRequestOr404(req, res);
+    if (!request) return;
+    const failure = checkRequestTurn(request, req.user);
+    if (failure) return res.status(failure.status).json({ success: false, message: failure.message });
+
+    request.status = "declined";
+    request.awaitingResponseFrom = null;
+    request.timeline.push({ status: "declined", by: req.user._id, note: req.body.note || null });
+    await request.save();
+    await notifyRequestParty(request, otherParty(request, req.user._id), "Request declined", `Your offer for ${request.productTitle} was declined.`);
+
+    res.json({ success: true, message: "Request declined", request });
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    requestActionError(res, err, "Decline request");
   }
 });
 
-// --- Fixed RequestList Schema --------------------------------------
-const requestListSchema = new mongoose.Schema({
-  requestedByMerchant: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-  requestedToMerchant: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-  productTitle: { type: String, required: true },
-  productCategory: { type: String, required: true },
-  createdAt: { type: Date, default: Date.now },
+// Counter with a new price and/or quantity; the turn passes to the other merchant
+app.patch("/api/v1/request-list/:id/counter", requireAuth, requireMerchant, validate(idParams, "params"), validate(counterOfferSchema), async (req, res) => {
+  try {
+    const request = await findRequestOr404(req, res);
+    if (!request) return;
+    const failure = checkRequestTurn(request, req.user);
+    if (failure) return res.status(failure.status).json({ success: false, message: failure.message });
+
+    const quantity = req.body.quantity ?? request.offer.quantity;
+    const unitPrice = req.body.unitPrice ?? request.offer.unitPrice;
+
+    request.offer = { quantity, unitPrice, by: req.user._id };
+    request.status = "countered";
+    request.awaitingResponseFrom = otherParty(request, req.user._id);
+    request.timeline.push({ status: "countered", by: req.user._id, quantity, unitPrice, note: req.body.note || null });
+    await request.save();
+    await notifyRequestParty(request, request.awaitingResponseFrom, "Counter-offer received", `${quantity} × ${request.productTitle} at ${unitPrice} each.`);
+
+    res.json({ success: true, message: "Counter-offer sent", request });
+  } catch (err) {
+    requestActionError(res, err, "Counter request");
+  }
 });
 
-const RequestList = mongoose.model("RequestList", requestListSchema);
-
-// --- Route to POST request ---
-app.post("/api/v1/request-list", async (req, res) => {
+// Supplier fulfils an accepted request: stock leaves the supplier's product and
+// lands on a matching product in the requester's catalogue (created on first transfer).
+// The request is claimed ("fulfilling") before any stock moves, so a second fulfil or a
+// cancellation can't race it; if anything fails, every move is undone and the claim released.
+app.patch("/api/v1/request-list/:id/fulfil", requireAuth, requireMerchant, validate(idParams, "params"), validate(noteSchema), async (req, res) => {
   try {
-    const { requestedByMerchant, requestedToMerchant, productTitle, productCategory } = req.body;
-    console.log("RequestList POST body:", req.body); // ✅ log incoming data
+    const found = await findRequestOr404(req, res);
+    if (!found) return;
+    if (found.requestedToMerchant.toString() !== req.user._id.toString())
+      return res.status(403).json({ success: false, message: "Only the supplying merchant can fulfil" });
+    if (found.status !== "accepted")
+      return res.status(400).json({ success: false, message: "Only accepted requests can be fulfilled" });
+
+    // Bumping the version also fails any save() made from an older read of the request
+    const request = await RequestList.findOneAndUpdate(
+      { _id: found._id, status: "accepted" },
+      { $set: { status: "fulfilling" }, $inc: { __v: 1 } },
+      { new: true }
+    );
+    if (!request) return res.status(409).json({ success: false, message: "Request was modified concurrently, please retry" });
+    const releaseClaim = () =>
+      RequestList.updateOne({ _id: request._id, status: "fulfilling" }, { $set: { status: "accepted" }, $inc: { __v: 1 } });
+
+    const { quantity, unitPrice } = request.offer;
+    const source = await Product.findOneAndUpdate(
+      { ...stockFilter(request.productId, request.variantId, quantity), merchantId: req.user._id },
+      stockDeltaUpdate(-quantity, request.variantId),
+      { new: true }
+    );
+    if (!source) {
+      await releaseClaim();
+      return res.status(409).json({ success: false, message: "Insufficient stock to fulfil request" });
+    }
 
-    // Validate all required fields
-    if (!requestedByMerchant || !requestedToMerchant || !productTitle || !productCategory) {
-      return res.status(400).json({ message: "Missing required fields" });
+    const transfer = { by: req.user._id, requestId: request._id };
+    let target = null;
+    let created = false;
+    const logged = { out: false, in: false };
+    try {
+      // The requester's copy is a simple product, one per source product (and variant)
+      const sourceVariant = request.variantId ? source.variants.id(request.variantId) : null;
+      target = await Product.findOneAndUpdate(
+        {
+          merchantId: request.requestedByMerchant,
+          sourceProductId: source._id,
+          sourceVariantId: request.variantId || null,
+          "variants.0": { $exists: false },
+        },
+        stockDeltaUpdate(quantity),
+        { new: true }
+      );
+      if (!target) {
+        target = await Product.create({
+          title: sourceVariant ? `${source.title} (${variantLabel(sourceVariant)})` : source.title,
+          description: source.description,
+          categoryId: source.categoryId,
+          category: source.category,
+          categoryImage: source.categoryImage,
+          images: sourceVariant?.images?.length ? sourceVariant.images : source.images,
+          retailPrice: (sourceVariant || source).retailPrice,
+          merchantPrice: unitPrice,
+          quantity,
+          stockStatus: "in-stock",
+          merchantId: request.requestedByMerchant,
+          sourceProductId: source._id,
+          sourceVariantId: request.variantId || null,
+        });
+        created = true;
+      }
+      await recordStockMovements([{ product: source, delta: -quantity, variantId: request.variantId }], { ...transfer, reason: "transfer-out" });
+      logged.out = true;
+      await recordStockMovements([{ product: target, delta: quantity }], { ...transfer, reason: "transfer-in" });
+      logged.in = true;
+
+      request.status = "fulfilled";
+      request.fulfilledProductId = target._id;
+      request.timeline.push({ status: "fulfilled", by: req.user._id, quantity, unitPrice, note: req.body.note || null });
+      await request.save();
+    } catch (err) {
+      // Undo in reverse order; logged moves get a reversing ledger row, since the ledger is append-only
+      const reversal = { ...transfer, reason: "reversal", note: "Request fulfilment failed" };
+      if (target && created && !logged.in) await Product.deleteOne({ _id: target._id });
+      else if (target) {
+        const undone = await Product.findOneAndUpdate({ _id: target._id }, stockDeltaUpdate(-quantity), { new: true });
+        if (logged.in && undone) await recordStockMovements([{ product: undone, delta: -quantity }], reversal);
+      }
+      await releaseStock([{ productId: source._id, variantId: request.variantId, quantity }], logged.out ? reversal : null);
+      await releaseClaim();
+      throw err;
     }
 
-    // Create request
-    const request = await RequestList.create({
-      requestedByMerchant,
-      requestedToMerchant,
-      productTitle,
-      productCategory,
-    });
-    console.log("RequestList created:", request); // ✅ log to confirm
+    if (!created && target.quantity === quantity) await notifyBackInStock(target._id); // the requester's copy was sold out until now
+    await notifyRequestParty(request, request.requestedByMerchant, "Request fulfilled", `${quantity} × ${request.productTitle} added to your stock.`);
 
-    res.status(201).json({ message: "Request saved successfully", request });
+    res.json({ success: true, message: "Request fulfilled", request, product: target });
   } catch (err) {
-    console.error("RequestList POST error:", err.message);
-    res.status(500).json({ message: "Server error" });
+    requestActionError(res, err, "Fulfil request");
   }
 });
 
+// Requester withdraws a request that has not been fulfilled yet
+async function cancelRequest(req, res) {
+  try {
+    const request = await findRequestOr404(req, res);
+    if (!request) return;
+    if (request.requestedByMerchant.toString() !== req.user._id.toString())
+      return res.status(403).json({ success: false, message: "Only the requesting merchant can cancel" });
+    if (![...OPEN_REQUEST_STATUSES, "accepted"].includes(request.status))
+      return res.status(400).json({ success: false, message: `Request is already ${request.status}` });
+
+    request.status = "cancelled";
+    request.awaitingResponseFrom = null;
+    request.timeline.push({ status: "cancelled", by: req.user._id, note: req.body.note || null });
+    // Requests created before the product link existed lack productId/offer; don't fail them on that
+    await request.save({ validateModifiedOnly: true });
+    await notifyRequestParty(request, request.requestedToMerchant, "Request cancelled", `The request for ${request.productTitle} was withdrawn.`);
+
+    res.status(200).json({ success: true, message: "Request cancelled successfully", request });
+  } catch (err) {
+    requestActionError(res, err, "Cancel request");
+  }
+}
+
+app.patch("/api/v1/request-list/:id/cancel", requireAuth, requireMerchant, validate(idParams, "params"), validate(noteSchema), cancelRequest);
 
-// ----------------- Get all RequestList (Public) -----------------
-app.get("/api/v1/request-list", async (req, res) => {
+
+// ----------------- Get RequestList -----------------
+// Admins see every request; merchants see requests they sent or received.
+const populateRequestMerchants = (query) =>
+  query
+    .populate("requestedByMerchant", "name email")
+    .populate("requestedToMerchant", "name email");
+
+app.get("/api/v1/request-list", requireAuth, async (req, res) => {
   try {
-    // Fetch all requests, latest first
-    const requests = await RequestList.find().sort({ createdAt: -1 })
-      .populate("requestedByMerchant", "name email")   // optional, if you want merchant details
-      .populate("requestedToMerchant", "name email");  // optional
+    let filter;
+    if (req.user.role === "admin") filter = {};
+    else if (req.user.role === "merchant")
+      filter = { $or: [{ requestedByMerchant: req.user._id }, { requestedToMerchant: req.user._id }] };
+    else return res.status(403).json({ success: false, message: "Not authorized" });
+
+    // Fetch requests, latest first
+    const requests = await populateRequestMerchants(RequestList.find(filter).sort({ createdAt: -1 }));
 
     res.status(200).json({ success: true, count: requests.length, data: requests });
   } catch (err) {
@@ -932,61 +6571,76 @@ app.get("/api/v1/request-list", async (req, res) => {
   }
 });
 
-
-// ----------------- Get All Single Request by ID -----------------
-
-
-
-// -- Get Order by ID (GET)
-app.get("/api/v1/get-order-byID/:id", async( req, res) => {
-  try{
-    const {id} = req.params;
-    console.log(req.params)
-    const order = await Order.findById(id);
-    res.json(order);
+// Requests other merchants sent to me
+app.get("/api/v1/request-list/inbound", requireAuth, requireMerchant, async (req, res) => {
+  try {
+    const requests = await populateRequestMerchants(
+      RequestList.find({ requestedToMerchant: req.user._id }).sort({ createdAt: -1 })
+    );
+    res.status(200).json({ success: true, count: requests.length, data: requests });
   } catch (err) {
-    console.error("Failed to fetch order:", err.message);
+    console.error("Failed to fetch inbound requests:", err.message);
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-//-- Delete Order by ID (DELETE)
-app.delete("/api/v1/cancel-orders/:id", async (req, res) => {
+// Requests I sent to other merchants
+app.get("/api/v1/request-list/outbound", requireAuth, requireMerchant, async (req, res) => {
   try {
-    const {id } = req.params;
-    const order = await Order.findByIdAndDelete(id);
-    res.status(200).send({message: "Order cancelled successfully" });
-  }
-   catch (err) {
-    console.error("Failed to cancel order:", err.message);
+    const requests = await populateRequestMerchants(
+      RequestList.find({ requestedByMerchant: req.user._id }).sort({ createdAt: -1 })
+    );
+    res.status(200).json({ success: true, count: requests.length, data: requests });
+  } catch (err) {
+    console.error("Failed to fetch outbound requests:", err.message);
     res.status(500).json({ success: false, message: "Server error" });
-   }
+  }
 });
 
+// Only the two merchants involved and admins may read a request
+const isRequestParty = (request, user) =>
+  user.role === "admin" ||
+  [request.requestedByMerchant, request.requestedToMerchant].some(
+    (m) => (m?._id || m)?.toString() === user._id.toString()
+  );
+
 
-// Cencel-request by ID (delete) ~ Merchant 
-app.delete("/api/v1/merchant/cancel-request/:id", async (req, res) => {
+// -- Get Order by ID (GET)
+app.get("/api/v1/get-order-byID/:id", requireAuth, validate(idParams, "params"), async (req, res) => {
   try {
     const { id } = req.params;
-    const request = await RequestList.findByIdAndDelete(id);
-    res.status(200).send({message: "Request cancelled successfully" });
-    console.log("😆", req.params)
+
+    const order = await Order.findById(id);
+    if (!order) return res.status(404).json({ success: false, message: "Order not found" });
+
+    const view = orderViewFor(order, req.user);
+    if (!view) return res.status(403).json({ success: false, message: "Not authorized" });
+    res.json(view);
   } catch (err) {
-    console.error("Failed to cancel request:", err.message);
+    console.error("Failed to fetch order:", err.message);
     res.status(500).json({ success: false, message: "Server error" });
-    console.log("😆😆", req.params)
-
   }
-})
+});
+
+//-- Cancel Order by ID (DELETE) - kept for older clients; cancels instead of deleting
+app.delete("/api/v1/cancel-orders/:id", requireAuth, validate(idParams, "params"), validate(noteSchema), cancelOrder);
+
+
+// Cancel-request by ID ~ Merchant - kept for older clients; cancels instead of deleting
+app.delete("/api/v1/merchant/cancel-request/:id", requireAuth, requireMerchant, validate(idParams, "params"), validate(noteSchema), cancelRequest);
 
 // -- Get Request by ID (GET)
-app.get("/api/v1/get-request-byID/:id", async( req, res) => {
-  try{
+app.get("/api/v1/get-request-byID/:id", requireAuth, validate(idParams, "params"), async (req, res) => {
+  try {
     const { id } = req.params;
+
     const request = await RequestList.findById(id);
     if (!request) {
       return res.status(404).json({ message: "Request not found" });
     }
+    if (!isRequestParty(request, req.user)) {
+      return res.status(403).json({ success: false, message: "Not authorized" });
+    }
     res.status(200).json({ success: true, data: request });
   } catch (err) {
     console.error("Failed to fetch request:", err.message);
@@ -1010,6 +6664,10 @@ app.get("/api/v1/get-request-byID/:id", async( req, res) => {
 
 // ----------------- Error Handler -----------------
 app.use((err, _req, res, _next) => {
+  // Malformed JSON bodies and ids that slipped past validation are client errors
+  if (err.type === "entity.parse.failed") return validationError(res, [{ path: "body", message: "Malformed JSON" }]);
+  if (err.name === "CastError") return validationError(res, [{ path: err.path, message: `Invalid ${err.kind}` }]);
+
   console.error("Unhandled error:", err);
   res.status(500).json({ error: "Server error" });
 });